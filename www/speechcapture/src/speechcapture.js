@@ -20,13 +20,15 @@
  *
  */
 
-window.speechcapture = (function () {
+var speechcapture = (function () {
 
     var AUDIO_RESULT_TYPE = {
             WAV_BLOB: 1,
             WEBAUDIO_AUDIOBUFFER: 2,
             RAW_DATA: 3,
-            DETECTION_ONLY: 4
+            DETECTION_ONLY: 4,
+            FLAC_BLOB: 5,
+            OGG_OPUS_BLOB: 6
         },
 
         STATUS = {
@@ -38,7 +40,12 @@ window.speechcapture = (function () {
             CAPTURE_ERROR: 6,
             ENCODING_ERROR: 7,
             SPEECH_MAX_LENGTH: 8,
-            SPEECH_MIN_LENGTH: 9
+            SPEECH_MIN_LENGTH: 9,
+            CALIBRATION_COMPLETE: 10,
+            QUEUE_OVERFLOW: 11,
+            INPUT_DEVICE_LOST: 12,
+            CAPTURE_PAUSED: 13,
+            CAPTURE_RESUMED: 14
         },
 
         ERROR_CODE = {
@@ -50,1494 +57,6737 @@ window.speechcapture = (function () {
             AUDIOINPUT_NOT_AVAILABLE: 5,
             RESAMPLING_UNSUPPORTED: 6,
             RESAMPLING_ERROR: 7,
+            GET_USER_MEDIA_FAILED: 8,
+            DECODING_FAILED: 9,
+            ENCODING_FAILED: 10,
+            CALLBACK_FAILED: 11,
+            CAPTURE_FAILED: 12,
+            ENCODING_UNSUPPORTED: 13,
+            CAPTURE_ABORTED: 14,
             UNSPECIFIED: 999
         },
 
+        VAD_MODE = {
+            ENERGY: 'energy',
+            SPECTRAL: 'spectral',
+            CUSTOM: 'custom'
+        },
+
+        MAX_LENGTH_STRATEGY = {
+            CUT: 'cut',
+            SPLIT_AT_PAUSE: 'splitAtPause',
+            CONTINUE: 'continue'
+        },
+
+        WAV_FORMAT = {
+            PCM_8BIT: 'pcm8',
+            PCM_16BIT: 'pcm16',
+            PCM_24BIT: 'pcm24',
+            FLOAT_32BIT: 'float32',
+            MU_LAW: 'mulaw',
+            A_LAW: 'alaw'
+        },
+
+        RESAMPLER = {
+            AUTO: 'auto',
+            WEB_AUDIO: 'webaudio',
+            SINC: 'sinc',
+            LINEAR: 'linear'
+        },
+
+        CHANNEL_POLICY = {
+            ANY: 'any',
+            MIXDOWN: 'mixdown',
+            CHANNEL: 'channel'
+        },
+
+        NORMALIZATION = {
+            NONE: 'none',
+            PEAK: 'peak',
+            LOUDNESS: 'loudness'
+        },
+
+        END_REASON = {
+            SILENCE: 'silence',
+            MAX_LENGTH: 'maxlength',
+            STOPPED: 'stopped',
+            PAUSED: 'paused',
+            END_OF_AUDIO: 'endofaudio'
+        },
+
+        EVENT = {
+            SPEECH_START: 'speechstart',
+            SPEECH_STOP: 'speechstop',
+            CAPTURED: 'captured',
+            ERROR: 'error',
+            MAX_LENGTH: 'maxlength',
+            MIN_LENGTH: 'minlength',
+            CAPTURE_START: 'capturestart',
+            CAPTURE_STOP: 'capturestop',
+            CALIBRATION_COMPLETE: 'calibrationcomplete',
+            SPEECH_CHUNK: 'speechchunk',
+            QUEUE_OVERFLOW: 'queueoverflow',
+            INPUT_DEVICE_LOST: 'inputdevicelost',
+            CAPTURE_PAUSE: 'capturepause',
+            CAPTURE_RESUME: 'captureresume',
+            STATUS: 'status'
+        },
+
         DEFAULT = {
             SAMPLERATE: 16000,
 
             // If you're using this library in conjunction with the cordova-plugin-audioinput (cordova-plugin-audioinput):
             // These parameters are used to set up the Cordova plugin for audio capture on iOS and Android devices.
             AUDIOSOURCE_TYPE: 7, // cordova-plugin-audioinput param -> audioinput.AUDIOSOURCE_TYPE.VOICE_COMMUNICATION
-            CHANNELS: 1, // cordova-plugin-audioinput param -> audioinput.CHANNELS.MONO
+            CHANNELS: 1, // The number of channels to capture, 1 = audioinput.CHANNELS.MONO, 2 = audioinput.CHANNELS.STEREO
+            CHANNEL_POLICY: 'any', // How the channels are used for speech detection, see speechcapture.CHANNEL_POLICY.
+            DETECTION_CHANNEL: 0, // The channel used for speech detection if the channelPolicy is 'channel'.
             FORMAT: 'PCM_16BIT', // cordova-plugin-audioinput param -> audioinput.FORMAT.PCM_16BIT
             BUFFER_SIZE: 16384, // cordova-plugin-audioinput param
             CONCATENATE_MAX_CHUNKS: 1, // cordova-plugin-audioinput param
+            MAX_QUEUE_LENGTH: 50, // The maximum number of audio input buffers waiting to be analyzed.
+            USE_AUDIO_WORKLET: true, // true = Capture and analyze getUserMedia audio in an AudioWorklet if supported.
+            CLOSE_AUDIO_CONTEXT: false, // true = Close the audioContext on stop, if it was created by this library.
 
             // Speech detection parameters
             DETECT_ONLY: false, // true = only detect speech, but do not capture.
             SPEECH_DETECTION_THRESHOLD: 15, // The number of decibels over the baseline that are considered as speech (dB).
+            SPEECH_START_MIN_CHUNKS: 1, // The number of consecutive speech chunks required before speech is started.
+            AMBIENT_LEVEL_WINDOW: 0, // The length (mS) of the latest silence used for the ambient level, 0 = all silence.
+            AMBIENT_LEVEL_HALF_LIFE: 0, // The half-life (mS) of the exponentially decaying ambient level, 0 = not used.
+            CALIBRATION_DURATION: 0, // The length (mS) of the audio used only to calculate the ambient level at start.
+            SPEECH_CHUNK_LENGTH: 0, // The minimum length (mS) of streamed speech chunks, 0 = every analysis chunk.
             SPEECH_DETECTION_ALLOWED_DELAY: 400, // The allowed delay before considering speech stopped (mS).
             SPEECH_DETECTION_MIN_LENGTH: 500, // The minimum length of speech that triggers capture (mS).
             SPEECH_DETECTION_MAX_LENGTH: 10000, // The maximum length of speech that triggers capture (mS).
+            MAX_LENGTH_STRATEGY: 'cut', // What to do when the maximum length is reached, see speechcapture.MAX_LENGTH_STRATEGY.
             SPEECH_DETECTION_COMPRESS_PAUSES: false, // true = remove all pauses within the captured speech.
             SPEECH_DETECTION_ANALYSIS_CHUNK_LENGTH: 100, // The length (mS) of the chunks used to detect speech.
+            SPEECH_DETECTION_PRE_ROLL: 0, // The length (mS) of audio before speech started to include in the capture.
+            SPEECH_DETECTION_POST_ROLL: 0, // The length (mS) of silence after speech stopped to include in the capture.
+            VAD_MODE: 'energy', // The voice activity detection used, see speechcapture.VAD_MODE.
+            VAD_PROBABILITY_THRESHOLD: 0.5, // The speech probability (0-1) required by the spectral and custom VAD modes.
 
             // Speech detection results
             AUDIO_RESULT_TYPE: 1, // 1 = speechcapture.AUDIO_RESULT_TYPE.WAV_BLOB
+            RESAMPLER: 'auto', // How the audio is resampled if needed, see speechcapture.RESAMPLER.
+            WAV_FORMAT: 'pcm16', // The sample format of WAV results, see speechcapture.WAV_FORMAT.
+            OPUS_BITRATE: 24000, // The bitrate (bits/s) of Ogg Opus results.
+            USE_WORKER: false, // true = Also encode WAV results and resample audio in the encoder Web Worker.
+            REMOVE_DC_OFFSET: false, // true = Remove any DC offset from the captured speech.
+            NORMALIZATION: 'none', // How the level of the captured speech is normalized, see speechcapture.NORMALIZATION.
+            NORMALIZATION_PEAK_TARGET: -1, // The target peak level (dBFS) of 'peak' normalization.
+            NORMALIZATION_LOUDNESS_TARGET: -23, // The target loudness (LUFS) of 'loudness' normalization.
+            NORMALIZATION_MAX_GAIN: 30, // The maximum gain (dB) applied by the normalization.
+            LIMITER: false, // true = Use a soft limiter instead of clipping samples exceeding full scale.
+            LIMITER_THRESHOLD: -1, // The level (dBFS) above which the soft limiter compresses the captured speech.
+
+            // Preprocessing of the input audio, before speech detection
+            HIGH_PASS_FILTER: false, // true = Remove low frequency rumble using a high-pass filter.
+            HIGH_PASS_FREQUENCY: 80, // The cutoff frequency (Hz) of the high-pass filter.
+            HUM_FILTER: false, // true = Remove mains hum (and its harmonics) using notch filters.
+            HUM_FREQUENCY: 50, // The mains frequency (Hz), 50 or 60 depending on the country.
+            SPECTRAL_SUBTRACTION: false, // true = Suppress stationary noise using spectral subtraction.
+            SPECTRAL_SUBTRACTION_FACTOR: 2, // How much of the learned noise spectrum is subtracted.
+            PREPROCESS_OUTPUT: false, // true = The captured speech is also preprocessed, false = Only used for detection.
 
             // HTML5 getUserMedia support
             PREFER_GET_USER_MEDIA: true, // Should use getUserMedia for microphone input if supported on browser.
 
             GETUSERMEDIA_ACTIVE: true, // false = Deactivate the usage of getUserMedia entirely, even if it is the only input.
+            DEVICE_ID: null, // The deviceId of the microphone to use with getUserMedia, null = the default microphone.
             AUDIOINPUT_PLUGIN_ACTIVE: true, // false = Deactivate the usage of cordova-plugin-audioinput, even if it is the only input.
 
             DEBUG_ALERTS: false, // true = Show debug alerts
             DEBUG_CONSOLE: false // true = Show debug console output
+        },
+
+        // The speech detection parameters that can be changed while capturing, see updateCfg
+        UPDATABLE_CFG = [
+            'speechDetectionThreshold',
+            'speechStartThreshold',
+            'speechStopThreshold',
+            'speechDetectionAllowedDelay',
+            'speechDetectionMinimum',
+            'speechDetectionMaximum',
+            'compressPauses',
+            'analysisChunkLength'
+        ],
+
+        // The configuration parameters of start, with their type, limits and default value. A parameter that is
+        // undefined or null gets its defaultValue, or the value of the defaultTo parameter (which must precede it).
+        // -type - 'number', 'boolean', 'string', 'function', 'object' or 'array'
+        // -integer - true = The number must be an integer
+        // -min / max - The lowest / highest number allowed, above / below - The number must be greater / less than it
+        // -values - An object with the allowed values, e.g. VAD_MODE
+        // -items - The type of the items of an array
+        // -alias - An alternative name of the parameter
+        CFG_SCHEMA = {
+            audioinputPluginActive: {
+                type: 'boolean',
+                defaultValue: DEFAULT.AUDIOINPUT_PLUGIN_ACTIVE,
+                alias: 'audioInputPluginActive'
+            },
+            sampleRate: {type: 'number', above: 0, defaultValue: DEFAULT.SAMPLERATE},
+            inputSampleRate: {type: 'number', above: 0, defaultTo: 'sampleRate'},
+            bufferSize: {type: 'number', integer: true, min: 1, defaultValue: DEFAULT.BUFFER_SIZE},
+            audioSourceType: {type: 'number', integer: true, min: 0, defaultValue: DEFAULT.AUDIOSOURCE_TYPE},
+            maxQueueLength: {type: 'number', integer: true, min: 1, defaultValue: DEFAULT.MAX_QUEUE_LENGTH},
+            useAudioWorklet: {type: 'boolean', defaultValue: DEFAULT.USE_AUDIO_WORKLET},
+            closeAudioContext: {type: 'boolean', defaultValue: DEFAULT.CLOSE_AUDIO_CONTEXT},
+            channels: {type: 'number', integer: true, min: 1, defaultValue: DEFAULT.CHANNELS},
+            channelPolicy: {type: 'string', values: CHANNEL_POLICY, defaultValue: DEFAULT.CHANNEL_POLICY},
+            detectionChannel: {type: 'number', integer: true, min: 0, defaultValue: DEFAULT.DETECTION_CHANNEL},
+
+            speechDetectionThreshold: {type: 'number', min: 0, defaultValue: DEFAULT.SPEECH_DETECTION_THRESHOLD},
+            speechStartThreshold: {type: 'number', min: 0, defaultTo: 'speechDetectionThreshold'},
+            speechStopThreshold: {type: 'number', min: 0, defaultTo: 'speechStartThreshold'},
+            speechStartMinChunks: {type: 'number', integer: true, min: 1, defaultValue: DEFAULT.SPEECH_START_MIN_CHUNKS},
+            ambientLevelWindow: {type: 'number', min: 0, defaultValue: DEFAULT.AMBIENT_LEVEL_WINDOW},
+            ambientLevelHalfLife: {type: 'number', min: 0, defaultValue: DEFAULT.AMBIENT_LEVEL_HALF_LIFE},
+            calibrationDuration: {type: 'number', min: 0, defaultValue: DEFAULT.CALIBRATION_DURATION},
+            initialAmbientLevel: {type: 'number', defaultValue: null},
+            onSpeechChunk: {type: 'function', defaultValue: null},
+            speechChunkLength: {type: 'number', min: 0, defaultValue: DEFAULT.SPEECH_CHUNK_LENGTH},
+            speechDetectionMinimum: {type: 'number', min: 0, defaultValue: DEFAULT.SPEECH_DETECTION_MIN_LENGTH},
+            speechDetectionMaximum: {type: 'number', above: 0, defaultValue: DEFAULT.SPEECH_DETECTION_MAX_LENGTH},
+            maxLengthStrategy: {type: 'string', values: MAX_LENGTH_STRATEGY, defaultValue: DEFAULT.MAX_LENGTH_STRATEGY},
+            speechDetectionAllowedDelay: {type: 'number', min: 0, defaultValue: DEFAULT.SPEECH_DETECTION_ALLOWED_DELAY},
+
+            audioResultType: {type: 'number', values: AUDIO_RESULT_TYPE, defaultValue: DEFAULT.AUDIO_RESULT_TYPE},
+            resampler: {type: 'string', values: RESAMPLER, defaultValue: DEFAULT.RESAMPLER},
+            wavFormat: {type: 'string', values: WAV_FORMAT, defaultValue: DEFAULT.WAV_FORMAT},
+            wavMetadata: {type: 'object', defaultValue: null},
+            opusBitrate: {type: 'number', min: 6000, max: 510000, defaultValue: DEFAULT.OPUS_BITRATE},
+            useWorker: {type: 'boolean', defaultValue: DEFAULT.USE_WORKER},
+            removeDCOffset: {type: 'boolean', defaultValue: DEFAULT.REMOVE_DC_OFFSET},
+            normalization: {type: 'string', values: NORMALIZATION, defaultValue: DEFAULT.NORMALIZATION},
+            normalizationTarget: {type: 'number', defaultValue: null}, // Depends on the normalization
+            maxNormalizationGain: {type: 'number', min: 0, defaultValue: DEFAULT.NORMALIZATION_MAX_GAIN},
+            limiter: {type: 'boolean', defaultValue: DEFAULT.LIMITER},
+            limiterThreshold: {type: 'number', below: 0, defaultValue: DEFAULT.LIMITER_THRESHOLD},
+
+            highPassFilter: {type: 'boolean', defaultValue: DEFAULT.HIGH_PASS_FILTER},
+            highPassFrequency: {type: 'number', above: 0, defaultValue: DEFAULT.HIGH_PASS_FREQUENCY},
+            humFilter: {type: 'boolean', defaultValue: DEFAULT.HUM_FILTER},
+            humFrequency: {type: 'number', above: 0, defaultValue: DEFAULT.HUM_FREQUENCY},
+            spectralSubtraction: {type: 'boolean', defaultValue: DEFAULT.SPECTRAL_SUBTRACTION},
+            spectralSubtractionFactor: {type: 'number', above: 0, defaultValue: DEFAULT.SPECTRAL_SUBTRACTION_FACTOR},
+            preprocessors: {type: 'array', items: 'function', defaultValue: []},
+            preprocessOutput: {type: 'boolean', defaultValue: DEFAULT.PREPROCESS_OUTPUT},
+
+            audioContext: {type: 'object', defaultValue: null},
+            compressPauses: {type: 'boolean', defaultValue: DEFAULT.SPEECH_DETECTION_COMPRESS_PAUSES},
+            analysisChunkLength: {type: 'number', above: 0, defaultValue: DEFAULT.SPEECH_DETECTION_ANALYSIS_CHUNK_LENGTH},
+            speechDetectionPreRoll: {type: 'number', min: 0, defaultValue: DEFAULT.SPEECH_DETECTION_PRE_ROLL},
+            speechDetectionPostRoll: {type: 'number', min: 0, defaultValue: DEFAULT.SPEECH_DETECTION_POST_ROLL},
+            vadMode: {type: 'string', values: VAD_MODE, defaultValue: DEFAULT.VAD_MODE},
+            vadFunction: {type: 'function', defaultValue: null},
+            vadProbabilityThreshold: {type: 'number', min: 0, max: 1, defaultValue: DEFAULT.VAD_PROBABILITY_THRESHOLD},
+
+            debugAlerts: {type: 'boolean', defaultValue: DEFAULT.DEBUG_ALERTS},
+            debugConsole: {type: 'boolean', defaultValue: DEFAULT.DEBUG_CONSOLE},
+
+            preferGUM: {type: 'boolean', defaultValue: DEFAULT.PREFER_GET_USER_MEDIA},
+            deviceId: {type: 'string', defaultValue: DEFAULT.DEVICE_ID},
+            echoCancellation: {type: 'boolean', defaultValue: null},
+            noiseSuppression: {type: 'boolean', defaultValue: null},
+            autoGainControl: {type: 'boolean', defaultValue: null},
+            detectOnly: {type: 'boolean', defaultValue: DEFAULT.DETECT_ONLY}
         };
 
 
     /**
-     * Starts the audio capture and detection/capturing of speech.
+     * Creates a new speech detector with its own, isolated, capture and detection state.
+     * Any number of detectors can be created and run simultaneously, as long as they use different audio sources.
      *
-     * @param cfg - Configuration object
-     * @param speechCapturedCB - Called when speech has been identified and captured
-     * @param errorCB - Called when errors occurred
-     * @param speechStatusCB - Notifies about speech start and stop events
+     * @param detectorCfg - (Optional) Configuration object used as the defaults for every start of this detector
+     * @returns {*} The detector
      */
-    var start = function (cfg, speechCapturedCB, errorCB, speechStatusCB) {
+    var create = function (detectorCfg) {
+
+        var _detectorCfg = detectorCfg || {};
+
+        /**
+         * Starts the audio capture and detection/capturing of speech.
+         *
+         * @param cfg - Configuration object
+         * @param speechCapturedCB - Called when speech has been identified and captured
+         * @param errorCB - Called when errors occurred
+         * @param speechStatusCB - Notifies about speech start and stop events
+         * @returns {Promise} Resolved when capture has started, rejected with a SpeechCaptureError if it failed, e.g.
+         * if capture has already been started. Invalid parameters are thrown as a ParameterError.
+         */
+        var start = function (cfg, speechCapturedCB, errorCB, speechStatusCB) {
+
+            if (!_captureRunning() && !_analysisDeferred) {
+
+                if (speechCapturedCB) {
+                    if (!(typeof speechCapturedCB === "function")) {
+                        _lastErrorCode = ERROR_CODE.INVALID_PARAMETER;
+                        throw new ParameterError("Parameter 'speechCapturedCB' must be of type function.",
+                            'speechCapturedCB');
+                    }
+                }
+                else if (!_hasEventListeners(EVENT.CAPTURED)) {
+                    _lastErrorCode = ERROR_CODE.MISSING_PARAMETER;
+                    throw new ParameterError("Mandatory parameter 'speechCapturedCB' is missing and no 'captured' event " +
+                        "listener has been added.", 'speechCapturedCB', ERROR_CODE.MISSING_PARAMETER);
+                }
+
+                if (errorCB) {
+                    if (!(typeof errorCB === "function")) {
+                        _lastErrorCode = ERROR_CODE.INVALID_PARAMETER;
+                        throw new ParameterError("Parameter 'errorCB' must be of type function.", 'errorCB');
+                    }
+                }
 
-        if (!_captureRunning()) {
+                if (speechStatusCB) {
+                    if (!(typeof speechStatusCB === "function")) {
+                        _lastErrorCode = ERROR_CODE.INVALID_PARAMETER;
+                        throw new ParameterError("Parameter 'speechStatusCB' must be of type function.",
+                            'speechStatusCB');
+                    }
+                }
 
-            if (!speechCapturedCB) {
-                _lastErrorCode = ERROR_CODE.MISSING_PARAMETER;
-                throw "error: Mandatory parameter 'speechCapturedCB' is missing.";
-            }
-            else if (!(typeof speechCapturedCB === "function")) {
-                _lastErrorCode = ERROR_CODE.INVALID_PARAMETER;
-                throw "error: Parameter 'speechCapturedCB' must be of type function.";
-            }
+                _applyCfg(cfg, speechCapturedCB, errorCB, speechStatusCB);
 
-            if (errorCB) {
-                if (!(typeof errorCB === "function")) {
-                    _lastErrorCode = ERROR_CODE.INVALID_PARAMETER;
-                    throw "error: Parameter 'errorCB' must be of type function.";
+                if (_cfg.audioResultType === AUDIO_RESULT_TYPE.OGG_OPUS_BLOB && !audioEncoder.isOpusSupported()) {
+                    return _startRejected("audioResultType is OGG_OPUS_BLOB, but Opus encoding (WebCodecs " +
+                        "AudioEncoder) is not supported on this platform!", ERROR_CODE.ENCODING_UNSUPPORTED);
                 }
-            }
 
-            if (speechStatusCB) {
-                if (!(typeof speechStatusCB === "function")) {
-                    _lastErrorCode = ERROR_CODE.INVALID_PARAMETER;
-                    throw "error: Parameter 'speechStatusCB' must be of type function.";
+                //noinspection JSUnresolvedVariable
+                if (_cfg.audioResultType === AUDIO_RESULT_TYPE.WEBAUDIO_AUDIOBUFFER || _cfg.preferGUM || !_cfg.audioinputPluginActive || !window.audioinput) {
+                    if (!_initWebAudio(_cfg.audioContext, _cfg.preferGUM)) {
+                        if (_cfg.audioResultType === AUDIO_RESULT_TYPE.WEBAUDIO_AUDIOBUFFER) {
+                            return _startRejected("audioResultType is WEBAUDIO_AUDIOBUFFER, but Web Audio not " +
+                                "supported on this platform!", ERROR_CODE.NO_WEB_AUDIO_SUPPORT);
+                        }
+                    }
                 }
-            }
 
-            if (!cfg) {
-                cfg = {};
-            }
+                // getUserMedia captures at the sample rate of the audioContext
+                var error = _validateAnalysisChunkLength(_cfg, _mergeCfg(_detectorCfg, cfg));
+                if (error) {
+                    _getUserMediaMode = false;
+                    _lastErrorCode = error.code;
+                    throw error;
+                }
 
-            _cfg = {};
+                _calculateTimePeriods(_cfg.inputSampleRate, _cfg.bufferSize);
+                _resetAll();
+
+                _startDeferred = _createDeferred();
+                var startPromise = _startDeferred.promise;
+
+                // Configuration for the cordova-audioinput-plugin
+                //
+                _captureCfg = {
+                    sampleRate: _cfg.inputSampleRate,
+                    bufferSize: _cfg.bufferSize,
+                    channels: _cfg.channels,
+                    format: _cfg.format,
+                    audioSourceType: _cfg.audioSourceType,
+                    streamToWebAudio: false
+                };
+
+                if (_getUserMediaMode) {
+                    _startMediaStreamSource();
+                }
+                else {
+                    //noinspection JSUnresolvedVariable
+                    if (_cfg.audioinputPluginActive && window.audioinput) {
+                        // Subscribe to audioinput events
+                        //
+                        window.removeEventListener('audioinput', onAudioInputCapture, false);
+                        window.addEventListener('audioinput', onAudioInputCapture, false);
 
-            // cordova-audioinput-plugin parameters
-            //
-            _cfg.audioinputPluginActive = cfg.audioInputPluginActive || DEFAULT.AUDIOINPUT_PLUGIN_ACTIVE;
-            _cfg.sampleRate = cfg.sampleRate || DEFAULT.SAMPLERATE;
-            _cfg.inputSampleRate = cfg.inputSampleRate || cfg.sampleRate || DEFAULT.SAMPLERATE; // Can be changed later on depending on the input source.
-            _cfg.bufferSize = cfg.bufferSize || DEFAULT.BUFFER_SIZE;
-            _cfg.audioSourceType = cfg.audioSourceType || DEFAULT.AUDIOSOURCE_TYPE;
-            _cfg.concatenateMaxChunks = DEFAULT.CONCATENATE_MAX_CHUNKS;
-            _cfg.channels = DEFAULT.CHANNELS;
-            _cfg.format = DEFAULT.FORMAT;
+                        window.removeEventListener('audioinputerror', onAudioInputError, false);
+                        window.addEventListener('audioinputerror', onAudioInputError, false);
 
-            // Speech detection parameters
-            //
-            _cfg.speechCapturedCB = speechCapturedCB;
-            _cfg.errorCB = errorCB || null;
-            _cfg.speechStatusCB = speechStatusCB || null;
-            _cfg.speechDetectionThreshold = cfg.speechDetectionThreshold || DEFAULT.SPEECH_DETECTION_THRESHOLD;
-            _cfg.speechDetectionMinimum = cfg.speechDetectionMinimum || DEFAULT.SPEECH_DETECTION_MIN_LENGTH;
-            _cfg.speechDetectionMaximum = cfg.speechDetectionMaximum || DEFAULT.SPEECH_DETECTION_MAX_LENGTH;
-            _cfg.speechDetectionAllowedDelay = cfg.speechDetectionAllowedDelay || DEFAULT.SPEECH_DETECTION_ALLOWED_DELAY;
-            _cfg.audioResultType = cfg.audioResultType || DEFAULT.AUDIO_RESULT_TYPE;
-            _cfg.audioContext = cfg.audioContext || null;
-            _cfg.compressPauses = cfg.compressPauses || DEFAULT.SPEECH_DETECTION_COMPRESS_PAUSES;
-            _cfg.analysisChunkLength = cfg.analysisChunkLength || DEFAULT.SPEECH_DETECTION_ANALYSIS_CHUNK_LENGTH;
-
-            _cfg.debugAlerts = cfg.debugAlerts || DEFAULT.DEBUG_ALERTS;
-            _cfg.debugConsole = cfg.debugConsole || DEFAULT.DEBUG_CONSOLE;
-
-            _cfg.preferGUM = cfg.preferGUM || DEFAULT.PREFER_GET_USER_MEDIA;
-            _cfg.getUserMediaActive = DEFAULT.GETUSERMEDIA_ACTIVE;
-            _cfg.detectOnly = cfg.detectOnly || DEFAULT.DETECT_ONLY;
-
-            if (_cfg.detectOnly) {
-                _cfg.audioResultType = AUDIO_RESULT_TYPE.DETECTION_ONLY;
-            }
+                        // Start the cordova-audioinput-plugin capture
+                        //
+                        //noinspection JSUnresolvedVariable
+                        audioinput.start(_captureCfg);
+                        _audioInputPluginMode = true;
 
-            //noinspection JSUnresolvedVariable
-            if (_cfg.audioResultType === AUDIO_RESULT_TYPE.WEBAUDIO_AUDIOBUFFER || _cfg.preferGUM || !_cfg.audioinputPluginActive || !window.audioinput) {
-                if (!_initWebAudio(_cfg.audioContext, _cfg.preferGUM)) {
-                    if (_cfg.audioResultType === AUDIO_RESULT_TYPE.WEBAUDIO_AUDIOBUFFER) {
-                        _lastErrorCode = ERROR_CODE.NO_WEB_AUDIO_SUPPORT;
-                        throw "error: audioResultType is WEBAUDIO_AUDIOBUFFER, but Web Audio not supported on this platform!";
+                        _captureStarted();
+                    }
+                    else {
+                        _startDeferred = null;
+                        return _startRejected("Nor getUserMedia or cordova-plugin-audioinput are available!",
+                            ERROR_CODE.AUDIOINPUT_NOT_AVAILABLE);
                     }
                 }
+
+                return startPromise;
+            }
+            else {
+                _callSpeechStatusCB(STATUS.CAPTURE_ERROR);
+                return _startRejected("Capture or analysis has already been started.",
+                    ERROR_CODE.CAPTURE_ALREADY_STARTED);
             }
+        };
 
-            _calculateTimePeriods(_cfg.inputSampleRate, _cfg.bufferSize);
-            _resetAll();
 
-            // Configuration for the cordova-audioinput-plugin
-            //
-            _captureCfg = {
-                sampleRate: _cfg.inputSampleRate,
-                bufferSize: _cfg.bufferSize,
-                channels: _cfg.channels,
-                format: _cfg.format,
-                audioSourceType: _cfg.audioSourceType,
-                streamToWebAudio: false
-            };
+        /**
+         * Returns the promise of a start that failed before the capture was started.
+         *
+         * @param message
+         * @param errorCode - One of ERROR_CODE
+         * @returns {Promise} Rejected with a SpeechCaptureError
+         * @private
+         */
+        var _startRejected = function (message, errorCode) {
+            var deferred = _createDeferred();
 
-            if (_getUserMediaMode) {
-                _startMediaStreamSource();
-            }
-            else {
-                //noinspection JSUnresolvedVariable
-                if (_cfg.audioinputPluginActive && window.audioinput) {
-                    // Subscribe to audioinput events
-                    //
-                    window.removeEventListener('audioinput', onAudioInputCapture, false);
-                    window.addEventListener('audioinput', onAudioInputCapture, false);
+            _lastErrorCode = errorCode;
+            deferred.reject(new SpeechCaptureError(message, errorCode, {source: 'start'}));
 
-                    window.removeEventListener('audioinputerror', onAudioInputError, false);
-                    window.addEventListener('audioinputerror', onAudioInputError, false);
+            return deferred.promise;
+        };
 
-                    // Start the cordova-audioinput-plugin capture
-                    //
-                    //noinspection JSUnresolvedVariable
-                    audioinput.start(_captureCfg);
 
-                    _getNextBuffer();
+        /**
+         * Sets the configuration (merged with the detector configuration) and validates it. The current configuration
+         * is kept if the new one is invalid.
+         *
+         * @param cfg - Configuration object
+         * @param speechCapturedCB
+         * @param errorCB
+         * @param speechStatusCB
+         * @private
+         */
+        var _applyCfg = function (cfg, speechCapturedCB, errorCB, speechStatusCB) {
+            var explicitCfg = _mergeCfg(_detectorCfg, cfg),
+                newCfg = {},
+                error,
+                key;
+
+            // Explicit false, 0 etc. are used as they are, only undefined and null get the default value
+            for (key in CFG_SCHEMA) {
+                if (CFG_SCHEMA.hasOwnProperty(key)) {
+                    var rule = CFG_SCHEMA[key],
+                        value = explicitCfg[key];
+
+                    if ((value === undefined || value === null) && rule.alias) {
+                        value = explicitCfg[rule.alias];
+                    }
 
-                    _callSpeechStatusCB(STATUS.CAPTURE_STARTED);
-                }
-                else {
-                    _lastErrorCode = ERROR_CODE.AUDIOINPUT_NOT_AVAILABLE;
-                    throw "error: Nor getUserMedia or cordova-plugin-audioinput are available!";
+                    if (value === undefined || value === null) {
+                        newCfg[key] = rule.defaultTo ? newCfg[rule.defaultTo] : rule.defaultValue;
+                    }
+                    else if ((error = _validateCfgValue(key, value))) {
+                        _lastErrorCode = error.code;
+                        throw error;
+                    }
+                    else {
+                        newCfg[key] = value;
+                    }
                 }
             }
-        }
-        else {
-            _lastErrorCode = ERROR_CODE.CAPTURE_ALREADY_STARTED;
-            _callSpeechStatusCB(STATUS.CAPTURE_ERROR);
-        }
-    };
 
+            if ((error = _validateCfgRelations(newCfg, explicitCfg))) {
+                _lastErrorCode = error.code;
+                throw error;
+            }
 
-    /**
-     * Stops capturing.
-     */
-    var stop = function () {
-
-        //noinspection JSUnresolvedVariable
-        if (_cfg.audioinputPluginActive && window.audioinput && audioinput.isCapturing()) {
-            //noinspection JSUnresolvedVariable
-            audioinput.stop();
-        }
+            if (newCfg.normalizationTarget === null) {
+                newCfg.normalizationTarget = newCfg.normalization === NORMALIZATION.LOUDNESS ?
+                    DEFAULT.NORMALIZATION_LOUDNESS_TARGET : DEFAULT.NORMALIZATION_PEAK_TARGET;
+            }
 
-        if (_currentSpeechHistory.length > 0) {
-            _handleAudioBufferCreation(_currentSpeechHistory);
-        }
+            // Not configurable
+            newCfg.concatenateMaxChunks = DEFAULT.CONCATENATE_MAX_CHUNKS;
+            newCfg.format = DEFAULT.FORMAT;
+            newCfg.getUserMediaActive = DEFAULT.GETUSERMEDIA_ACTIVE;
 
-        _captureStopped();
-        _resetAll();
+            newCfg.speechCapturedCB = speechCapturedCB || null;
+            newCfg.errorCB = errorCB || null;
+            newCfg.speechStatusCB = speechStatusCB || null;
 
-        _getUserMediaMode = false;
-        _getUserMedia = null;
-        _mediaStream = null;
-    };
+            if (newCfg.detectOnly) {
+                newCfg.audioResultType = AUDIO_RESULT_TYPE.DETECTION_ONLY;
+            }
 
+            _cfg = newCfg;
+        };
 
-    /**
-     * Returns true if audio capture has been started.
-     *
-     * @returns {boolean}
-     */
-    var isCapturing = function () {
-        return _captureRunning();
-    };
 
+        /**
+         * Analyzes recorded audio, using the same speech detection as when capturing but faster than real time, and
+         * returns the detected utterances. No audio results are created and the callbacks of start aren't used, but
+         * the event listeners of the detector are called.
+         *
+         * @param source - A WAV Blob or ArrayBuffer (other formats are decoded using Web Audio, if supported), an
+         * AudioBuffer or a Float32Array (interleaved if more than one channel, at the inputSampleRate of the cfg)
+         * @param cfg - (Optional) Configuration object, as for start
+         * @returns {Promise} Resolved with an array of {startOffset, endOffset, duration, level, peakLevel, ambientLevel,
+         * threshold}, where the offsets and duration are in mS, rejected with a SpeechCaptureError if it failed, e.g.
+         * if the audio couldn't be decoded. Like start, an invalid source or cfg is thrown as a ParameterError.
+         */
+        var analyze = function (source, cfg) {
+            if (_captureRunning() || _analysisDeferred) {
+                var busy = _createDeferred();
+
+                _lastErrorCode = ERROR_CODE.CAPTURE_ALREADY_STARTED;
+                busy.reject(new SpeechCaptureError("Capture or analysis has already been started.",
+                    ERROR_CODE.CAPTURE_ALREADY_STARTED, {source: 'analyze'}));
+
+                return busy.promise;
+            }
 
-    /**
-     * Returns true if speech start event has occurred and is still in effect.
-     *
-     * @returns {boolean}
-     */
-    var isSpeakingRightNow = function () {
-        return _speakingRightNow;
-    };
+            if (!_isAnalysisSource(source)) {
+                _lastErrorCode = ERROR_CODE.INVALID_PARAMETER;
+                throw new ParameterError("Parameter 'source' must be a Blob, ArrayBuffer, AudioBuffer or Float32Array.",
+                    'source');
+            }
 
+            _applyCfg(cfg || {}, null, null, null);
+            _cfg.audioResultType = AUDIO_RESULT_TYPE.DETECTION_ONLY; // Keeps post-roll etc., unlike cfg.detectOnly
 
-    /**
-     * Returns the current configuration.
-     *
-     * @returns {*}
-     */
-    var getCfg = function () {
-        return _cfg;
-    };
+            var deferred = _createDeferred();
+            _analysisDeferred = deferred;
 
+            _decodeAnalysisSource(source, function (audio) {
+                // Was the analysis stopped while decoding?
+                if (deferred !== _analysisDeferred) {
+                    return;
+                }
 
-    /**
-     * Returns the current decibel level of the captured audio.
-     *
-     * @returns {number|*}
-     */
-    var getCurrentVolume = function () {
-        if (_lastAudioLevel) {
-            return parseFloat(_lastAudioLevel).toFixed(0);
-        }
-        else {
-            return -1;
-        }
-    };
+                if (_cfg.channelPolicy === CHANNEL_POLICY.CHANNEL && _cfg.detectionChannel >= audio.channels) {
+                    _analysisFailed(deferred, "The audio has no channel " + _cfg.detectionChannel + " to use for detection.",
+                        ERROR_CODE.INVALID_PARAMETER);
+                    return;
+                }
 
+                _cfg.inputSampleRate = audio.sampleRate;
+                _cfg.channels = audio.channels;
 
-    /**
-     * Returns the current monitoring data.
-     *
-     * @returns {*}
-     */
-    var getMonitoringData = function () {
+                var error = _validateAnalysisChunkLength(_cfg, _mergeCfg(_detectorCfg, cfg));
+                if (error) {
+                    _analysisFailed(deferred, error);
+                    return;
+                }
 
-        var audioInputDataCapturing = false;
-        //noinspection JSUnresolvedVariable
-        if (_cfg.audioinputPluginActive && window.audioinput) {
-            //noinspection JSUnresolvedVariable
-            audioInputDataCapturing = audioinput.isCapturing();
-        }
+                _calculateTimePeriods(_cfg.inputSampleRate, _cfg.bufferSize);
+                _resetAll();
+                _captureStartTime = 0;
+                _analysisResults = [];
 
-        return {
-            RealTime: {
-                AmbientAverageLevel: parseFloat(_ambientAverageLevel).toFixed(0),
-                CurrentLevel: parseFloat(_lastAudioLevel).toFixed(0),
-                CurrentThreshold: parseFloat(_currentThreshold).toFixed(0),
-                CurrentSpeechChunks: _currentSpeechLength,
-                CurrentSpeechBufferSize: _currentSpeechHistory.length,
-                CurrentSpeechLength: _noSpeechPeriod,
-                TotalNumOfSpeechChunks: _totalNumOfSpeechChunks,
-                InputQueueLength: _audioDataQueue.length,
-                InputDataTotal: _audioInputDataTotal
-            },
-            Events: {
-                NumOfStart: _noOfEventsStart,
-                NumOfContinue: _noOfEventsContinue,
-                NumOfStop: _noOfEventsStop,
-                NumOfMin: _noOfEventsMin,
-                NumOfMax: _noOfEventsMax
-            },
-            GetUserMedia: {
-                Active: _getUserMediaMode,
-                CapturingStatus: _getUserMediaRunning,
-                SampleRate: _cfg.inputSampleRate
-            },
-            AudioInput: {
-                Active: audioInputDataCapturing,
-                Events: _audioInputEvents,
-                SampleRate: _cfg.inputSampleRate
-            },
-            Cfg: _cfg,
-            Internals: {
-                AnalysisBufferSize: _analysisBufferSize,
-                AnalysisIterations: _analyzeIterations,
-                AnalysisBuffersPerIteration: _noOfAnalysisBuffersPerIteration,
-                AnalysisBufferLengthInS: parseFloat(_analysisBufferLengthInS).toFixed(3),
-                AudioInputFrequency: _audioInputFrequency,
-                InputBufferLenInS: parseFloat(_bufferLengthInSeconds).toFixed(3),
-                MinLengthChunks: _speechMinimumLengthChunks,
-                MaxLengthChunks: _speechMaximumLengthChunks,
-                AllowedDelayChunks: _speechAllowedDelayChunks,
-                GetNextBufferIterations: _getNextBufferIterations,
-                SampleRate: _cfg.sampleRate
-            }
-        };
-    };
+                // The end of the audio is flushed through the delay of the preprocessing with silence
+                var latency = _getPreprocessingLatency(),
+                    samples = audio.samples;
 
+                if (latency > 0) {
+                    samples = new Float32Array(audio.samples.length + latency * audio.channels);
+                    samples.set(audio.samples);
+                }
 
-    /**
-     *
-     * @returns {*|null}
-     */
-    var getAudioContext = function () {
-        return _audioContext;
-    };
+                _runAnalysis(samples, 0, deferred);
+            }, function (error) {
+                if (deferred === _analysisDeferred) {
+                    _analysisFailed(deferred, "Failed to decode the audio: " + error, ERROR_CODE.DECODING_FAILED,
+                        error);
+                }
+            });
 
+            return deferred.promise;
+        };
 
-    /**
-     * Called continuously while capture is running.
-     */
-    var onAudioInputCapture = function (evt) {
-        try {
-            _audioInputEvents++;
 
-            if (evt && evt.data) {
-                _audioDataQueue.push(new Float32Array(evt.data));
+        /**
+         * Stops capturing, or an ongoing analysis.
+         *
+         * @returns {Promise} Resolved when any speech captured before stopping has been delivered
+         */
+        var stop = function () {
+            if (_analysisDeferred) {
+                _abortAnalysis();
+                return _whenDelivered();
             }
-        }
-        catch (ex) {
-            _callErrorCB(ex);
-        }
-    };
 
+            //noinspection JSUnresolvedVariable
+            if (_audioInputPluginMode && window.audioinput && audioinput.isCapturing()) {
+                //noinspection JSUnresolvedVariable
+                audioinput.stop();
+            }
 
-    /**
-     * Called when a plugin error happens.
-     */
-    var onAudioInputError = function (error) {
-        _callErrorCB(error);
-    };
+            if (_currentSpeechHistory.length > 0) {
+                _handleAudioBufferCreation(_currentSpeechHistory, END_REASON.STOPPED);
+            }
 
+            if (_silentIterations > 0) {
+                _previousAmbientLevel = _ambientAverageLevel;
+            }
 
-    /**
-     *
-     * @returns {number}
-     */
-    var getLastErrorCode = function () {
-        return _lastErrorCode;
-    };
+            _captureStopped();
+            _resetAll();
 
+            // Stopped before getUserMedia or the AudioWorklet module was ready
+            if (_startDeferred) {
+                _startDeferred.reject(new SpeechCaptureError("Capture was stopped before it had started.",
+                    ERROR_CODE.CAPTURE_ABORTED, {source: 'stop'}));
+                _startDeferred = null;
+            }
 
-    /******************************************************************************************************************/
-    /*                                                PRIVATE/INTERNAL                                                */
-    /******************************************************************************************************************/
+            _getUserMediaMode = false;
+            _audioInputPluginMode = false;
+            _getUserMedia = null;
 
+            if (_cfg.closeAudioContext && _audioContextCreated) {
+                // Speech captured before stopping may still need the audioContext
+                _onDelivered(_closeAudioContext);
+            }
 
-    var _getNextBufferDuration = 50,
+            return _whenDelivered();
+        };
 
-        _analyzeIterations = 0,
-        _silentIterations = 0,
-        _noOfEventsContinue = 0,
-        _noOfEventsStart = 0,
-        _noOfEventsStop = 0,
-        _noOfEventsMax = 0,
-        _noOfEventsMin = 0,
-        _totalNumOfSpeechChunks = 0,
 
-        _audioDataQueue = [],
-        _currentSpeechHistory = [],
-        _currentSpeechLength = 0,
-        _lastAudioLevel = -50,
-        _currentThreshold = 0,
-        _noSpeechPeriod = 0,
-        _ambientTotal = 0,
-        _ambientAverageLevel = 0,
+        /**
+         * Pauses the speech detection, while keeping the audio input (and its permission) open. Any ongoing speech is
+         * captured, and audio input that has not yet been analyzed is discarded.
+         *
+         * @returns {Promise} Resolved when any speech captured before pausing has been delivered
+         */
+        var pause = function () {
+            if (_captureRunning() && !_paused) {
+                _paused = true;
+                _resetAudioInputQueue();
 
-        _analysisBufferSize = 0,
-        _noOfAnalysisBuffersPerIteration = 0,
-        _audioInputFrequency = 0,
-        _bufferLengthInSeconds = 0,
+                if (_speakingRightNow) {
+                    _stopSpeechEvent(_currentSpeechHistory, END_REASON.PAUSED);
+                }
+                else if (_postRollRemaining > 0) {
+                    _finishPostRollEvent(END_REASON.PAUSED);
+                }
 
-        _speechAllowedDelayChunks = 0,
-        _speechMinimumLengthChunks = 0,
-        _speechMaximumLengthChunks = 0,
+                _resetPreRoll();
+                _callSpeechStatusCB(STATUS.CAPTURE_PAUSED);
+            }
 
-        _getNextBufferIterations = 0,
-        _audioInputEvents = 0,
-        _analysisBufferLengthInS = 0,
-        _speakingRightNow = false,
+            return _whenDelivered();
+        };
 
-        _audioContext = null,
-        _webAudioAPISupported = false,
 
-        _lastErrorCode = ERROR_CODE.NO_ERROR,
+        /**
+         * Resumes the speech detection after pause.
+         */
+        var resume = function () {
+            if (_captureRunning() && _paused) {
+                _paused = false;
+                // The audio received while paused isn't part of the timeline
+                _captureStartTime = Date.now() - _monitoredFrames / _cfg.inputSampleRate * 1000;
+                _callSpeechStatusCB(STATUS.CAPTURE_RESUMED);
+            }
+        };
 
-        _cfg = {},
-        _captureCfg = {},
 
-        _streamSourceProcessor = null,
-        _mediaStream = null,
-        _getUserMediaMode = false,
-        _getUserMediaSupported = false,
-        _getUserMediaRunning = false,
-        _getUserMedia = null,
+        /**
+         * Returns true if the speech detection is paused.
+         *
+         * @returns {boolean}
+         */
+        var isPaused = function () {
+            return _paused;
+        };
 
-        _audioInputDataTotal = 0;
 
-    /**
-     *
-     * @param sampleRate
-     * @param bufferSize
-     * @private
-     */
-    var _calculateTimePeriods = function (sampleRate, bufferSize) {
-        try {
-            _cfg.bufferSize = bufferSize;
-            _audioInputFrequency = sampleRate / bufferSize;
-            _bufferLengthInSeconds = 1 / _audioInputFrequency;
+        /**
+         * Returns true if audio capture has been started.
+         *
+         * @returns {boolean}
+         */
+        var isCapturing = function () {
+            return _captureRunning();
+        };
 
-            _calculateAnalysisBuffers(bufferSize, _bufferLengthInSeconds, _cfg.analysisChunkLength);
-        }
-        catch (ex) {
-            _callErrorCB("_calculateTimePeriods exception: " + ex);
-        }
-    };
 
+        /**
+         * Returns true if speech start event has occurred and is still in effect.
+         *
+         * @returns {boolean}
+         */
+        var isSpeakingRightNow = function () {
+            return _speakingRightNow;
+        };
 
-    /**
-     *
-     * @param bufferSize
-     * @param bufferLengthInSeconds
-     * @param analysisChunkLength
-     * @private
-     */
-    var _calculateAnalysisBuffers = function (bufferSize, bufferLengthInSeconds, analysisChunkLength) {
-        try {
-            var inputBufferSizeInMs = bufferLengthInSeconds * 1000;
-            _noOfAnalysisBuffersPerIteration = Math.ceil(inputBufferSizeInMs / analysisChunkLength);
-            _analysisBufferSize = Math.ceil(bufferSize / _noOfAnalysisBuffersPerIteration);
-            _analysisBufferLengthInS = bufferLengthInSeconds / _noOfAnalysisBuffersPerIteration;
 
-            _speechAllowedDelayChunks = Math.round(_cfg.speechDetectionAllowedDelay / analysisChunkLength);
-            _speechMinimumLengthChunks = Math.round(_cfg.speechDetectionMinimum / analysisChunkLength);
-            _speechMaximumLengthChunks = Math.round(_cfg.speechDetectionMaximum / analysisChunkLength);
+        /**
+         * Returns the current configuration.
+         *
+         * @returns {*}
+         */
+        var getCfg = function () {
+            return _cfg;
+        };
 
-            _getNextBufferDuration = analysisChunkLength;
-        }
-        catch (ex) {
-            _callErrorCB("_calculateAnalysisBuffers exception: " + ex);
-        }
-    };
 
+        /**
+         * Updates the speech detection parameters of the current configuration, which takes effect right away, even
+         * while speech is ongoing. Only the parameters in UPDATABLE_CFG can be updated, the others require a restart.
+         *
+         * @param partialCfg - Object with the parameters to update, e.g. {speechDetectionThreshold: 10}
+         */
+        var updateCfg = function (partialCfg) {
+            if (!partialCfg || typeof partialCfg !== "object") {
+                _lastErrorCode = ERROR_CODE.INVALID_PARAMETER;
+                throw new ParameterError("Parameter 'partialCfg' must be an object.", 'partialCfg');
+            }
 
-    /**
-     *
-     * @param error
-     * @private
-     */
-    var _callErrorCB = function (error) {
-        var errorObj = {};
+            var updated = {},
+                error,
+                key;
 
-        if (error) {
-            if (error.message) {
-                errorObj.message = error.message;
-            }
-            else {
-                errorObj.message = error;
+            for (key in _cfg) {
+                if (_cfg.hasOwnProperty(key)) {
+                    updated[key] = _cfg[key];
+                }
             }
-        }
-        else {
-            errorObj.message = "An unhandled error has occurred.";
-        }
 
-        if (_cfg.errorCB) {
-            _cfg.errorCB(errorObj);
-        }
+            for (key in partialCfg) {
+                if (!partialCfg.hasOwnProperty(key)) {
+                    continue;
+                }
 
-        _showConsoleLog(errorObj.message);
-        _showAlert(errorObj.message);
-    };
+                if (UPDATABLE_CFG.indexOf(key) < 0) {
+                    _lastErrorCode = ERROR_CODE.INVALID_PARAMETER;
+                    throw new ParameterError("Parameter '" + key + "' can't be updated, use one of '" +
+                        UPDATABLE_CFG.join("', '") + "'.", key);
+                }
 
+                if ((error = _validateCfgValue(key, partialCfg[key]))) {
+                    _lastErrorCode = error.code;
+                    throw error;
+                }
 
-    /**
-     *
-     * @param speechData
-     * @private
-     */
-    var _callSpeechCapturedCB = function (speechData) {
-        if (_cfg.speechCapturedCB) {
-            _cfg.speechCapturedCB(speechData, _cfg.audioResultType);
-        }
-        else {
-            _callErrorCB("_callSpeechCapturedCB: No 'speechCapturedCB' callback defined!");
-        }
-    };
+                updated[key] = partialCfg[key];
+            }
 
+            // As in start, the start and stop thresholds default to the detection threshold
+            if (partialCfg.hasOwnProperty("speechDetectionThreshold")) {
+                if (!partialCfg.hasOwnProperty("speechStartThreshold")) {
+                    updated.speechStartThreshold = updated.speechDetectionThreshold;
+                }
+                if (!partialCfg.hasOwnProperty("speechStopThreshold")) {
+                    updated.speechStopThreshold = updated.speechStartThreshold;
+                }
+            }
+            else if (partialCfg.hasOwnProperty("speechStartThreshold") && !partialCfg.hasOwnProperty("speechStopThreshold")) {
+                updated.speechStopThreshold = Math.min(updated.speechStopThreshold, updated.speechStartThreshold);
+            }
 
-    /**
-     *
-     * @param eventType
-     * @private
-     */
-    var _callSpeechStatusCB = function (eventType) {
-        if (_cfg.speechStatusCB) {
-            _cfg.speechStatusCB(eventType);
-        }
-    };
+            if ((error = _validateCfgRelations(updated, partialCfg))) {
+                _lastErrorCode = error.code;
+                throw error;
+            }
 
+            for (key in updated) {
+                if (updated.hasOwnProperty(key)) {
+                    _cfg[key] = updated[key];
+                }
+            }
 
-    /**
-     * Consume data from the audio queue and handles speech events
-     * @private
-     */
-    var _getNextBuffer = function () {
-        try {
-            _getNextBufferIterations++;
+            // Without a capture, the chunk counts are calculated when it starts
+            if (_bufferLengthInSeconds > 0) {
+                var previousChunkLengthInS = _analysisBufferLengthInS;
 
-            // Are we still capturing?
-            if (_captureRunning()) {
+                _calculateAnalysisBuffers(_cfg.bufferSize, _bufferLengthInSeconds, _cfg.analysisChunkLength);
+                _calculateThresholds();
 
-                var audioInputData = _consumeFromAudioInputQueue();
+                if (_analysisBufferLengthInS !== previousChunkLengthInS) {
+                    _rescaleChunkCounts(previousChunkLengthInS / _analysisBufferLengthInS);
+                }
 
-                if (audioInputData && audioInputData.length > 0) {
-                    _iteratedAndMonitorInputBuffer(audioInputData);
+                if (_audioWorkletNode) {
+                    _audioWorkletNode.port.postMessage({
+                        analysisBufferSize: _analysisBufferSize,
+                        noOfAnalysisBuffers: _noOfAnalysisBuffersPerIteration
+                    });
                 }
+            }
+        };
 
-                // Repeat...
-                setTimeout(_getNextBuffer, _getNextBufferDuration);
+
+        /**
+         * Returns the current decibel level of the captured audio.
+         *
+         * @returns {number|*}
+         */
+        var getCurrentVolume = function () {
+            if (_lastAudioLevel) {
+                return parseFloat(_lastAudioLevel).toFixed(0);
             }
             else {
-                // Was speech previously started?
-                if (_speakingRightNow) {
-                    _stopSpeechEvent(_currentSpeechHistory);
-                }
+                return -1;
             }
-        }
-        catch (e) {
-            _callErrorCB("_getNextBuffer exception: " + e);
-            _callSpeechStatusCB(STATUS.SPEECH_ERROR);
-            _resetAll();
-        }
-    };
+        };
 
 
-    /**
-     * Gets new audio data from the audio input queue.
-     *
-     * @private
-     */
-    var _consumeFromAudioInputQueue = function () {
+        /**
+         * Returns the ambient (noise floor) level in decibel. When not capturing, the level at the end of the previous
+         * capture is returned, which can be used as the initialAmbientLevel of the next capture.
+         *
+         * @returns {number|null} null if no ambient level has been calculated
+         */
+        var getAmbientLevel = function () {
+            if (_captureRunning()) {
+                return _silentIterations > 0 ? _ambientAverageLevel : _cfg.initialAmbientLevel;
+            }
+            else {
+                return _previousAmbientLevel;
+            }
+        };
 
-        var audioInputData = new Float32Array(0),
-            chunk = null;
 
-        if (_audioDataQueue.length > 0) {
-            for (var i = 0; i < _cfg.concatenateMaxChunks; i++) {
-                if (_audioDataQueue.length === 0) {
-                    break;
-                }
+        /**
+         * Returns the current monitoring data.
+         *
+         * @returns {*}
+         */
+        var getMonitoringData = function () {
 
-                chunk = _audioDataQueue.shift();
-                audioInputData = audioInputData.concat(chunk);
-                _audioInputDataTotal += chunk.length;
+            var audioInputDataCapturing = false;
+            //noinspection JSUnresolvedVariable
+            if (_audioInputPluginMode && window.audioinput) {
+                //noinspection JSUnresolvedVariable
+                audioInputDataCapturing = audioinput.isCapturing();
             }
-        }
 
-        return audioInputData;
-    };
+            return {
+                RealTime: {
+                    AmbientAverageLevel: parseFloat(_ambientAverageLevel).toFixed(0),
+                    CurrentLevel: parseFloat(_lastAudioLevel).toFixed(0),
+                    ChannelLevels: _lastChannelLevels.map(function (level) {
+                        return parseFloat(level).toFixed(0);
+                    }),
+                    CurrentThreshold: parseFloat(_currentThreshold).toFixed(0),
+                    CurrentStopThreshold: parseFloat(_currentStopThreshold).toFixed(0),
+                    CurrentStartChunks: _pendingSpeechChunks.length,
+                    CurrentSpeechProbability: parseFloat(_lastSpeechProbability).toFixed(2),
+                    Calibrating: _calibrationRemaining > 0,
+                    Paused: _paused,
+                    CurrentSpeechChunks: _currentSpeechLength,
+                    CurrentSpeechBufferSize: _currentSpeechHistory.length,
+                    CurrentSpeechLength: _noSpeechPeriod,
+                    TotalNumOfSpeechChunks: _totalNumOfSpeechChunks,
+                    InputQueueLength: _audioDataQueue.length,
+                    DroppedInputBuffers: _droppedInputBuffers,
+                    InputDataTotal: _audioInputDataTotal
+                },
+                Events: {
+                    NumOfStart: _noOfEventsStart,
+                    NumOfContinue: _noOfEventsContinue,
+                    NumOfStop: _noOfEventsStop,
+                    NumOfMin: _noOfEventsMin,
+                    NumOfMax: _noOfEventsMax
+                },
+                GetUserMedia: {
+                    Active: _getUserMediaMode,
+                    CapturingStatus: _getUserMediaRunning,
+                    AudioWorklet: !!_audioWorkletNode,
+                    SampleRate: _cfg.inputSampleRate
+                },
+                AudioInput: {
+                    Active: audioInputDataCapturing,
+                    Events: _audioInputEvents,
+                    SampleRate: _cfg.inputSampleRate
+                },
+                Cfg: _cfg,
+                Internals: {
+                    AnalysisBufferSize: _analysisBufferSize,
+                    AnalysisIterations: _analyzeIterations,
+                    AnalysisBuffersPerIteration: _noOfAnalysisBuffersPerIteration,
+                    AnalysisBufferLengthInS: parseFloat(_analysisBufferLengthInS).toFixed(3),
+                    AudioInputFrequency: _audioInputFrequency,
+                    InputBufferLenInS: parseFloat(_bufferLengthInSeconds).toFixed(3),
+                    MinLengthChunks: _speechMinimumLengthChunks,
+                    MaxLengthChunks: _speechMaximumLengthChunks,
+                    AllowedDelayChunks: _speechAllowedDelayChunks,
+                    StartMinChunks: _cfg.speechStartMinChunks,
+                    AmbientWindowChunks: _ambientWindowChunks,
+                    AmbientHalfLifeChunks: _ambientHalfLifeChunks,
+                    CalibrationChunks: _calibrationChunks,
+                    PreRollChunks: _speechPreRollChunks,
+                    PostRollChunks: _speechPostRollChunks,
+                    ProcessingIterations: _processingIterations,
+                    SampleRate: _cfg.sampleRate
+                }
+            };
+        };
+
+
+        /**
+         *
+         * @returns {*|null}
+         */
+        var getAudioContext = function () {
+            return _audioContext;
+        };
+
+
+        /**
+         * Called continuously while capture is running.
+         */
+        var onAudioInputCapture = function (evt) {
+            try {
+                if (_paused) {
+                    return;
+                }
+
+                _audioInputEvents++;
+
+                if (evt && evt.data) {
+                    _enqueueAudioData(new Float32Array(evt.data));
+                }
+            }
+            catch (ex) {
+                _callErrorCB("onAudioInputCapture exception: " + ex, {source: 'onAudioInputCapture', cause: ex});
+            }
+        };
+
+
+        /**
+         * Called when a plugin error happens.
+         */
+        var onAudioInputError = function (error) {
+            _callErrorCB(error && error.message ? error.message : error, {
+                code: ERROR_CODE.CAPTURE_FAILED,
+                status: STATUS.CAPTURE_ERROR,
+                source: 'onAudioInputError',
+                recoverable: false,
+                cause: error
+            });
+        };
+
+
+        /**
+         *
+         * @returns {number}
+         */
+        var getLastErrorCode = function () {
+            return _lastErrorCode;
+        };
+
+
+        /**
+         * Adds a listener for one of the speechcapture.EVENT types.
+         *
+         * @param type - The event type
+         * @param listener - A function, or an object with a handleEvent function
+         */
+        var addEventListener = function (type, listener) {
+            if (!listener) {
+                return;
+            }
+
+            if (!_listeners[type]) {
+                _listeners[type] = [];
+            }
+
+            if (_listeners[type].indexOf(listener) === -1) {
+                _listeners[type].push(listener);
+            }
+        };
+
+
+        /**
+         * Removes a listener previously added using addEventListener.
+         *
+         * @param type - The event type
+         * @param listener - The listener to remove
+         */
+        var removeEventListener = function (type, listener) {
+            if (_listeners[type]) {
+                var idx = _listeners[type].indexOf(listener);
+                if (idx !== -1) {
+                    _listeners[type].splice(idx, 1);
+                }
+            }
+        };
+
+
+        /******************************************************************************************************************/
+        /*                                                PRIVATE/INTERNAL                                                */
+        /******************************************************************************************************************/
+
+
+        var _processingTimeSlice = 50, // The maximum time (mS) to analyze queued audio before yielding.
+
+            _analyzeIterations = 0,
+            _silentIterations = 0,
+            _noOfEventsContinue = 0,
+            _noOfEventsStart = 0,
+            _noOfEventsStop = 0,
+            _noOfEventsMax = 0,
+            _noOfEventsMin = 0,
+            _totalNumOfSpeechChunks = 0,
+
+            _audioDataQueue = [],
+            _currentSpeechHistory = [],
+            _speechHistoryBuffer = new Float32Array(0), // _currentSpeechHistory is the start of it while it's growing
+            _currentSpeechChunks = [],
+            _splitContinuation = false,
+            _currentSpeechLength = 0,
+            _lastAudioLevel = -50,
+            _lastSpeechProbability = 0,
+            _currentThreshold = 0,
+            _currentStopThreshold = 0,
+            _pendingSpeechChunks = [],
+            _noSpeechPeriod = 0,
+            _ambientTotal = 0,
+            _ambientAverageLevel = 0,
+            _ambientHistory = [],
+            _ambientWindowChunks = 0,
+            _ambientHalfLifeChunks = 0,
+            _previousAmbientLevel = null,
+            _calibrationChunks = 0,
+            _calibrationRemaining = 0,
+
+            _utteranceId = 0,
+            _speechPauses = 0,
+            _speechChunkSeq = 0,
+            _speechChunkData = new Float32Array(0),
+
+            _analysisBufferSize = 0,
+            _preprocessingChain = null,
+            _lastChannelLevels = [],
+            _captureStartTime = 0,
+            _monitoredFrames = 0,
+            _historyEndFrame = 0,
+            _noOfAnalysisBuffersPerIteration = 0,
+            _audioInputFrequency = 0,
+            _bufferLengthInSeconds = 0,
+
+            _speechAllowedDelayChunks = 0,
+            _speechMinimumLengthChunks = 0,
+            _speechMaximumLengthChunks = 0,
+            _speechPreRollChunks = 0,
+            _speechPostRollChunks = 0,
+
+            _preRollHistory = [],
+            _postRollRemaining = 0,
+
+            _processingIterations = 0,
+            _processingScheduled = false,
+            _droppedInputBuffers = 0,
+            _audioInputEvents = 0,
+            _analysisBufferLengthInS = 0,
+            _speakingRightNow = false,
+
+            _audioContext = null,
+            _webAudioAPISupported = false,
+
+            _lastErrorCode = ERROR_CODE.NO_ERROR,
+
+            _cfg = {},
+            _captureCfg = {},
+
+            _streamSourceProcessor = null,
+            _audioWorkletNode = null,
+            _mediaStream = null,
+            _inputStream = null,
+            _audioContextCreated = false,
+            _paused = false,
+            _analysisDeferred = null, // The deferred of the ongoing analysis
+            _analysisResults = null,
+            _inputDeviceLost = false,
+            _getUserMediaMode = false,
+            _getUserMediaSupported = false,
+            _getUserMediaRunning = false,
+            _getUserMedia = null,
+
+            _audioInputPluginMode = false,
+
+            _listeners = {},
+            _startDeferred = null,
+            _pendingDeliveries = 0,
+            _deliveredCallbacks = [],
+
+            _audioInputDataTotal = 0;
+
+        /**
+         *
+         * @param sampleRate
+         * @param bufferSize
+         * @private
+         */
+        var _calculateTimePeriods = function (sampleRate, bufferSize) {
+            try {
+                _cfg.bufferSize = bufferSize;
+                _audioInputFrequency = sampleRate / bufferSize;
+                _bufferLengthInSeconds = 1 / _audioInputFrequency;
+
+                _calculateAnalysisBuffers(bufferSize, _bufferLengthInSeconds, _cfg.analysisChunkLength);
+            }
+            catch (ex) {
+                _callErrorCB("_calculateTimePeriods exception: " + ex, {source: '_calculateTimePeriods', cause: ex});
+            }
+        };
+
+
+        /**
+         * Converts the ongoing speech detection counters, which are counted in analysis chunks, to a new chunk length.
+         *
+         * @param factor - The previous chunk length divided by the new one
+         * @private
+         */
+        var _rescaleChunkCounts = function (factor) {
+            _currentSpeechLength = Math.round(_currentSpeechLength * factor);
+            _noSpeechPeriod = Math.round(_noSpeechPeriod * factor);
+            _postRollRemaining = Math.round(_postRollRemaining * factor);
+            _calibrationRemaining = Math.round(_calibrationRemaining * factor);
+        };
+
+
+        /**
+         *
+         * @param bufferSize
+         * @param bufferLengthInSeconds
+         * @param analysisChunkLength
+         * @private
+         */
+        var _calculateAnalysisBuffers = function (bufferSize, bufferLengthInSeconds, analysisChunkLength) {
+            try {
+                var inputBufferSizeInMs = bufferLengthInSeconds * 1000;
+                _noOfAnalysisBuffersPerIteration = Math.ceil(inputBufferSizeInMs / analysisChunkLength);
+                _analysisBufferSize = Math.ceil(bufferSize / _noOfAnalysisBuffersPerIteration);
+                _analysisBufferLengthInS = bufferLengthInSeconds / _noOfAnalysisBuffersPerIteration;
+
+                _speechAllowedDelayChunks = Math.round(_cfg.speechDetectionAllowedDelay / analysisChunkLength);
+                _speechMinimumLengthChunks = Math.round(_cfg.speechDetectionMinimum / analysisChunkLength);
+                _speechMaximumLengthChunks = Math.round(_cfg.speechDetectionMaximum / analysisChunkLength);
+                _speechPreRollChunks = Math.round(_cfg.speechDetectionPreRoll / analysisChunkLength);
+                _speechPostRollChunks = Math.round(_cfg.speechDetectionPostRoll / analysisChunkLength);
+                _ambientWindowChunks = Math.round(_cfg.ambientLevelWindow / analysisChunkLength);
+                _ambientHalfLifeChunks = _cfg.ambientLevelHalfLife / analysisChunkLength;
+                _calibrationChunks = Math.round(_cfg.calibrationDuration / analysisChunkLength);
+            }
+            catch (ex) {
+                _callErrorCB("_calculateAnalysisBuffers exception: " + ex, {source: '_calculateAnalysisBuffers',
+                    cause: ex});
+            }
+        };
+
+
+        /**
+         * Reports an error to the errorCB and the 'error' event listeners as a SpeechCaptureError.
+         *
+         * @param error - A SpeechCaptureError, or the error message
+         * @param details - (Optional) Used with an error message: {code, status, source, recoverable, cause}, where the
+         * code is ERROR_CODE.UNSPECIFIED and recoverable is true unless specified
+         * @private
+         */
+        var _callErrorCB = function (error, details) {
+            var errorObj = error;
+
+            if (!(errorObj instanceof SpeechCaptureError)) {
+                details = details || {};
+
+                errorObj = new SpeechCaptureError(error ? String(error) : "An unhandled error has occurred.",
+                    details.code || ERROR_CODE.UNSPECIFIED, {
+                        status: details.status,
+                        source: details.source,
+                        recoverable: details.recoverable !== undefined ? details.recoverable : true,
+                        cause: details.cause
+                    });
+            }
+
+            _lastErrorCode = errorObj.code;
+
+            if (_cfg.errorCB) {
+                _cfg.errorCB(errorObj);
+            }
+
+            _dispatchEvent(EVENT.ERROR, {error: errorObj});
+
+            _showConsoleLog(errorObj.message);
+            _showAlert(errorObj.message);
+        };
+
+
+        /**
+         *
+         * @param speechData
+         * @param speechMetadata - Describes the captured speech, see _createSpeechMetadata
+         * @private
+         */
+        var _callSpeechCapturedCB = function (speechData, speechMetadata) {
+            try {
+                if (_cfg.speechCapturedCB) {
+                    _cfg.speechCapturedCB(speechData, _cfg.audioResultType, speechMetadata);
+                }
+                else if (!_hasEventListeners(EVENT.CAPTURED)) {
+                    _callErrorCB("_callSpeechCapturedCB: No 'speechCapturedCB' callback or 'captured' listener defined!", {
+                        code: ERROR_CODE.MISSING_PARAMETER,
+                        source: '_callSpeechCapturedCB'
+                    });
+                }
+            }
+            catch (e) {
+                _callErrorCB("_callSpeechCapturedCB: speechCapturedCB exception: " + e, {
+                    code: ERROR_CODE.CALLBACK_FAILED,
+                    source: '_callSpeechCapturedCB',
+                    cause: e
+                });
+            }
+
+            _dispatchEvent(EVENT.CAPTURED, {
+                data: speechData,
+                audioResultType: _cfg.audioResultType,
+                metadata: speechMetadata
+            });
+            _deliveryFinished();
+        };
+
+
+        /**
+         *
+         * @param eventType
+         * @private
+         */
+        var _callSpeechStatusCB = function (eventType) {
+            if (_cfg.speechStatusCB) {
+                _cfg.speechStatusCB(eventType);
+            }
+
+            if (_statusEvents[eventType]) {
+                _dispatchEvent(_statusEvents[eventType], {status: eventType});
+            }
+
+            _dispatchEvent(EVENT.STATUS, {status: eventType});
+        };
+
+
+        /**
+         * Calls all listeners of the given event type.
+         *
+         * @param type - The event type
+         * @param detail - Event specific data
+         * @private
+         */
+        var _dispatchEvent = function (type, detail) {
+            if (!_hasEventListeners(type)) {
+                return;
+            }
+
+            var evt = {
+                    type: type,
+                    target: detector,
+                    detail: detail || {}
+                },
+                listeners = _listeners[type].slice(0);
+
+            for (var i = 0; i < listeners.length; i++) {
+                try {
+                    if (typeof listeners[i] === "function") {
+                        listeners[i].call(detector, evt);
+                    }
+                    else if (typeof listeners[i].handleEvent === "function") {
+                        listeners[i].handleEvent(evt);
+                    }
+                }
+                catch (e) {
+                    _showConsoleLog("_dispatchEvent '" + type + "' listener exception: " + e);
+                }
+            }
+        };
+
+
+        /**
+         *
+         * @param type
+         * @returns {boolean}
+         * @private
+         */
+        var _hasEventListeners = function (type) {
+            return !!(_listeners[type] && _listeners[type].length > 0);
+        };
+
+
+        /**
+         * Must be called once for every speech output that has been started, when it either has been delivered or
+         * failed.
+         *
+         * @private
+         */
+        var _deliveryFinished = function () {
+            if (_pendingDeliveries > 0) {
+                _pendingDeliveries--;
+            }
+
+            if (_pendingDeliveries === 0) {
+                var callbacks = _deliveredCallbacks;
+                _deliveredCallbacks = [];
+
+                for (var i = 0; i < callbacks.length; i++) {
+                    callbacks[i]();
+                }
+            }
+        };
+
+
+        /**
+         * Reports that captured speech couldn't be delivered.
+         *
+         * @param message
+         * @param source - The name of the function that failed
+         * @param code - (Optional) ERROR_CODE.ENCODING_FAILED by default
+         * @param cause - (Optional) The original error
+         * @private
+         */
+        var _deliveryFailed = function (message, source, code, cause) {
+            _callErrorCB(message, {
+                code: code || ERROR_CODE.ENCODING_FAILED,
+                status: STATUS.ENCODING_ERROR,
+                source: source,
+                cause: cause
+            });
+            _callSpeechStatusCB(STATUS.ENCODING_ERROR);
+            _deliveryFinished();
+        };
+
+
+        /**
+         * Error callback for the ReSampler.
+         *
+         * @param error
+         * @private
+         */
+        var _resamplingFailed = function (error) {
+            _deliveryFailed("Resampling failed: " + error, '_resamplingFailed', ERROR_CODE.RESAMPLING_ERROR, error);
+        };
+
+
+        /**
+         * Returns a promise that is resolved when all started speech outputs have been delivered.
+         *
+         * @returns {Promise}
+         * @private
+         */
+        var _whenDelivered = function () {
+            var deferred = _createDeferred();
+            _onDelivered(deferred.resolve);
+            return deferred.promise;
+        };
+
+
+        /**
+         * Calls the callback when all started speech outputs have been delivered.
+         *
+         * @param callback
+         * @private
+         */
+        var _onDelivered = function (callback) {
+            if (_pendingDeliveries === 0) {
+                callback();
+            }
+            else {
+                _deliveredCallbacks.push(callback);
+            }
+        };
+
+
+        /**
+         * Adds newly arrived audio data to the audio input queue and schedules its processing. If the queue is full,
+         * the oldest audio data is dropped.
+         *
+         * @param audioData
+         * @param analysis - (Optional) The levels etc. of each analysis chunk, if already analyzed by the AudioWorklet
+         * @private
+         */
+        var _enqueueAudioData = function (audioData, analysis) {
+            _audioDataQueue.push({
+                data: audioData,
+                analysis: analysis || null
+            });
+
+            while (_audioDataQueue.length > _cfg.maxQueueLength) {
+                // The dropped audio still counts in the timeline
+                _monitoredFrames += _audioDataQueue.shift().data.length / _cfg.channels;
+                _droppedInputBuffers++;
+                _callSpeechStatusCB(STATUS.QUEUE_OVERFLOW);
+            }
+
+            _scheduleProcessing();
+        };
+
+
+        /**
+         *
+         * @private
+         */
+        var _scheduleProcessing = function () {
+            if (!_processingScheduled) {
+                _processingScheduled = true;
+                setTimeout(_processAudioDataQueue, 0);
+            }
+        };
+
+
+        /**
+         * Consume data from the audio queue and handles speech events. Yields after _processingTimeSlice, so that
+         * long queues doesn't block the UI.
+         *
+         * @private
+         */
+        var _processAudioDataQueue = function () {
+            _processingScheduled = false;
+
+            try {
+                _processingIterations++;
+
+                // Are we still capturing?
+                if (_captureRunning()) {
+                    var deadline = Date.now() + _processingTimeSlice;
+
+                    while (_audioDataQueue.length > 0) {
+                        var audioInput = _consumeFromAudioInputQueue();
+
+                        if (audioInput.data && audioInput.data.length > 0) {
+                            _iteratedAndMonitorInputBuffer(audioInput.data, audioInput.analysis);
+                        }
+
+                        if (Date.now() >= deadline) {
+                            break;
+                        }
+                    }
+
+                    if (_audioDataQueue.length > 0) {
+                        _scheduleProcessing();
+                    }
+                }
+                else {
+                    _resetAudioInputQueue();
+
+                    // Was speech previously started?
+                    if (_speakingRightNow) {
+                        _stopSpeechEvent(_currentSpeechHistory, END_REASON.STOPPED);
+                    }
+                }
+            }
+            catch (e) {
+                _callErrorCB("_processAudioDataQueue exception: " + e, {status: STATUS.SPEECH_ERROR,
+                    source: '_processAudioDataQueue', cause: e});
+                _callSpeechStatusCB(STATUS.SPEECH_ERROR);
+                _resetAll();
+            }
+        };
+
+
+        /**
+         * Gets new audio data from the audio input queue.
+         *
+         * @returns {{data: Float32Array, analysis: Array}}
+         * @private
+         */
+        var _consumeFromAudioInputQueue = function () {
+            var audioInput = _audioDataQueue.shift();
+            _audioInputDataTotal += audioInput.data.length;
+
+            return audioInput;
+        };
+
+
+        /**
+         *
+         * @param audioInputBuffer
+         * @private
+         */
+        var _iteratedAndMonitorInputBuffer = function (audioInputBuffer, analysis) {
+            try {
+                var len = audioInputBuffer.length,
+                    channels = _cfg.channels,
+                    detectionInputBuffer = audioInputBuffer;
+
+                // If buffer isn't of the expected size, recalculate everything based on the new length
+                if (len / channels !== _cfg.bufferSize) {
+                    _calculateTimePeriods(_cfg.inputSampleRate, Math.floor(len / channels));
+                    analysis = null;
+                }
+
+                if (_isPreprocessing()) {
+                    detectionInputBuffer = _preprocess(audioInputBuffer);
+                    analysis = null; // Any analysis is of the unprocessed audio
+
+                    // The captured speech must be as delayed as the preprocessed audio used for detection
+                    audioInputBuffer = _cfg.preprocessOutput ? detectionInputBuffer :
+                        _getPreprocessingChain().delay(audioInputBuffer);
+                }
+
+                // Analysis made before the analysisChunkLength was updated doesn't match the analysis chunks
+                if (analysis && analysis.length !== _noOfAnalysisBuffersPerIteration) {
+                    analysis = null;
+                }
+
+                // Callbacks may update the cfg while monitoring, so the analysis chunks of this buffer are kept
+                var noOfAnalysisBuffers = _noOfAnalysisBuffersPerIteration,
+                    analysisBufferSize = _analysisBufferSize;
+
+                // Multi-channel audio is interleaved, so the analysis chunks must contain whole frames
+                for (var i = 0; i < noOfAnalysisBuffers; i++) {
+                    var startIdx = i * analysisBufferSize * channels,
+                        endIdx = startIdx + analysisBufferSize * channels;
+
+                    if (endIdx > len) {
+                        endIdx = len;
+                    }
+
+                    var buf = audioInputBuffer.slice(startIdx, endIdx),
+                        detectionBuf = detectionInputBuffer !== audioInputBuffer ?
+                            detectionInputBuffer.slice(startIdx, endIdx) : buf;
+
+                    if (!_monitor(buf, analysis ? analysis[i] : null, detectionBuf)) {
+                        return; // Ignore more speech
+                    }
+                }
+            }
+            catch (e) {
+                _callErrorCB("_iteratedAndMonitorInputBuffer exception: " + e, {status: STATUS.SPEECH_ERROR,
+                    source: '_iteratedAndMonitorInputBuffer', cause: e});
+                _callSpeechStatusCB(STATUS.SPEECH_ERROR);
+            }
+        };
+
+
+        /**
+         *
+         * @param audioBuffer
+         * @param analysis - (Optional) The already calculated level etc. of the audio buffer
+         * @param detectionBuffer - (Optional) The preprocessed audio buffer used for detection, defaults to audioBuffer
+         * @private
+         */
+        var _monitor = function (audioBuffer, analysis, detectionBuffer) {
+            try {
+                _monitoredFrames += audioBuffer.length / _cfg.channels;
+                detectionBuffer = detectionBuffer || audioBuffer;
+
+                // Only calculate the ambient level until calibration is complete
+                if (_calibrationRemaining > 0) {
+                    _calibrate(audioBuffer, analysis, detectionBuffer);
+                    return true;
+                }
+
+                // First: Has maximum length threshold occurred or continue?
+                if (_currentSpeechLength + 1 > _speechMaximumLengthChunks) {
+                    if (_cfg.maxLengthStrategy === MAX_LENGTH_STRATEGY.SPLIT_AT_PAUSE) {
+                        _splitSpeechEvent();
+                    }
+                    else if (_cfg.maxLengthStrategy !== MAX_LENGTH_STRATEGY.CONTINUE) {
+                        _maximumLengthSpeechEvent(_currentSpeechHistory);
+                        return false;
+                    }
+                }
+
+                // Is somebody speaking?
+                if (_identifySpeech(detectionBuffer, analysis)) {
+                    // Speech Started or continued?
+                    if (!_speakingRightNow) {
+                        _pendingSpeechChunks.push(audioBuffer);
+
+                        // Only start speech after enough consecutive speech chunks
+                        if (_pendingSpeechChunks.length >= _cfg.speechStartMinChunks) {
+                            // Speech resumed while retaining the silence after the previous speech, so end it right away
+                            if (_postRollRemaining > 0) {
+                                _finishPostRollEvent();
+                            }
+
+                            var speechChunks = _pendingSpeechChunks;
+                            _pendingSpeechChunks = [];
+
+                            _startSpeechEvent(speechChunks[0]);
+                            for (var i = 1; i < speechChunks.length; i++) {
+                                _continueSpeechEvent(speechChunks[i], false);
+                            }
+                        }
+                    }
+                    else {
+                        _continueSpeechEvent(audioBuffer, false);
+                    }
+                }
+                else {
+                    // Too few consecutive speech chunks to start speech, treat them as any other audio without speech
+                    if (_pendingSpeechChunks.length > 0) {
+                        _discardPendingSpeechChunks();
+                    }
+
+                    // No speech was identified this time, was speech previously started?
+                    if (_speakingRightNow) {
+                        _noSpeechPeriod++;
+
+                        // Was speech paused long enough to stop speech event?
+                        if (_noSpeechPeriod > _speechAllowedDelayChunks) {
+                            if (_speechPostRollChunks > 0 && !_cfg.detectOnly) {
+                                _startPostRollEvent(audioBuffer);
+                            }
+                            else {
+                                _stopSpeechEvent(_currentSpeechHistory);
+                                _appendToPreRoll(audioBuffer);
+                            }
+                        }
+                        else {
+                            if (!_cfg.compressPauses) {
+                                _continueSpeechEvent(audioBuffer, true);
+                            }
+                        }
+                    }
+                    else {
+                        _appendSilence(audioBuffer);
+                    }
+
+                    // Handle silence
+                    _calculateAmbientAverageLevel(_lastAudioLevel);
+                }
+
+                return true;
+            }
+            catch (e) {
+                _callErrorCB("_monitor exception: " + e, {status: STATUS.SPEECH_ERROR, source: '_monitor', cause: e});
+                _callSpeechStatusCB(STATUS.SPEECH_ERROR);
+                _resetAll();
+                return false;
+            }
+        };
+
+
+        /**
+         * Returns true if the source can be analyzed.
+         *
+         * @param source
+         * @returns {boolean}
+         * @private
+         */
+        var _isAnalysisSource = function (source) {
+            return !!source && (source instanceof Float32Array || source instanceof ArrayBuffer ||
+                typeof source.getChannelData === "function" || (typeof Blob !== "undefined" && source instanceof Blob));
+        };
+
+
+        /**
+         * Decodes the source of analyze to interleaved samples.
+         *
+         * @param source
+         * @param onComplete - function ({samples, sampleRate, channels})
+         * @param onError - function (message)
+         * @private
+         */
+        var _decodeAnalysisSource = function (source, onComplete, onError) {
+            try {
+                if (source instanceof Float32Array) {
+                    onComplete({samples: source, sampleRate: _cfg.inputSampleRate, channels: _cfg.channels});
+                }
+                else if (typeof source.getChannelData === "function") {
+                    var channelData = [];
+                    for (var c = 0; c < source.numberOfChannels; c++) {
+                        channelData.push(source.getChannelData(c));
+                    }
+
+                    onComplete({
+                        samples: channelData.length === 1 ? channelData[0] : _interleave(channelData),
+                        sampleRate: source.sampleRate,
+                        channels: source.numberOfChannels
+                    });
+                }
+                else if (source instanceof ArrayBuffer) {
+                    if (wavDecoder.isWAV(source)) {
+                        onComplete(wavDecoder.decode(source));
+                    }
+                    else if (_cfg.audioContext || typeof OfflineAudioContext !== "undefined") {
+                        var context = _cfg.audioContext || new OfflineAudioContext(1, 1, _cfg.sampleRate);
+
+                        context.decodeAudioData(source, function (audioBuffer) {
+                            _decodeAnalysisSource(audioBuffer, onComplete, onError);
+                        }, function (e) {
+                            onError("decodeAudioData failed: " + (e && e.message ? e.message : e));
+                        });
+                    }
+                    else {
+                        onError("Only WAV audio can be decoded, since Web Audio isn't supported on this platform.");
+                    }
+                }
+                else {
+                    // FileReader isn't available in workers and Node
+                    if (typeof source.arrayBuffer === "function") {
+                        source.arrayBuffer().then(function (arrayBuffer) {
+                            _decodeAnalysisSource(arrayBuffer, onComplete, onError);
+                        }, function (e) {
+                            onError("Failed to read the Blob: " + e);
+                        });
+                    }
+                    else {
+                        var reader = new FileReader();
+
+                        reader.onload = function () {
+                            _decodeAnalysisSource(reader.result, onComplete, onError);
+                        };
+                        reader.onerror = function () {
+                            onError("Failed to read the Blob: " + reader.error);
+                        };
+                        reader.readAsArrayBuffer(source);
+                    }
+                }
+            }
+            catch (e) {
+                onError(e);
+            }
+        };
+
+
+        /**
+         * Runs the speech detection on the samples, in buffers of bufferSize. Yields after _processingTimeSlice, so
+         * that long audio doesn't block the UI.
+         *
+         * @param samples
+         * @param offset - The index of the first sample to analyze
+         * @param deferred - Resolved with the detected utterances when all samples have been analyzed
+         * @private
+         */
+        var _runAnalysis = function (samples, offset, deferred) {
+            try {
+                var bufferLength = _cfg.bufferSize * _cfg.channels,
+                    deadline = Date.now() + _processingTimeSlice;
+
+                while (offset < samples.length) {
+                    _iteratedAndMonitorInputBuffer(samples.subarray(offset, offset + bufferLength), null);
+                    offset += bufferLength;
+
+                    // Was the analysis stopped, e.g. by an event listener?
+                    if (deferred !== _analysisDeferred) {
+                        return;
+                    }
+
+                    if (offset < samples.length && Date.now() >= deadline) {
+                        setTimeout(function () {
+                            _runAnalysis(samples, offset, deferred);
+                        }, 0);
+                        return;
+                    }
+                }
+
+                // The end of the audio ends any ongoing speech
+                if (_speakingRightNow) {
+                    _stopSpeechEvent(_currentSpeechHistory, END_REASON.END_OF_AUDIO);
+                }
+                else if (_postRollRemaining > 0) {
+                    _finishPostRollEvent(END_REASON.END_OF_AUDIO);
+                }
+
+                var utterances = _analysisResults;
+
+                _analysisResults = null;
+                _analysisDeferred = null;
+                _resetAll();
+
+                deferred.resolve(utterances);
+            }
+            catch (e) {
+                _analysisFailed(deferred, "Analysis exception: " + e, ERROR_CODE.UNSPECIFIED, e);
+            }
+        };
+
+
+        /**
+         * Ends the analysis and rejects its promise.
+         *
+         * @param deferred
+         * @param message - The error message, or the SpeechCaptureError itself
+         * @param errorCode
+         * @param cause - (Optional) The original error
+         * @private
+         */
+        var _analysisFailed = function (deferred, message, errorCode, cause) {
+            var error = message instanceof SpeechCaptureError ? message :
+                new SpeechCaptureError(message, errorCode, {source: 'analyze', cause: cause});
+
+            _analysisResults = null;
+            _analysisDeferred = null;
+            _resetAll();
+            _callErrorCB(error);
+            deferred.reject(error);
+        };
+
+
+        /**
+         * Ends the analysis when it's stopped, and rejects its promise.
+         *
+         * @private
+         */
+        var _abortAnalysis = function () {
+            var deferred = _analysisDeferred;
+
+            _analysisResults = null;
+            _analysisDeferred = null;
+            _resetAll();
+            deferred.reject(new SpeechCaptureError("Analysis was stopped before it had completed.",
+                ERROR_CODE.CAPTURE_ABORTED, {source: 'stop'}));
+        };
+
+
+        /**
+         * Returns true if any preprocessing of the input audio is configured.
+         *
+         * @returns {boolean}
+         * @private
+         */
+        var _isPreprocessing = function () {
+            return _cfg.highPassFilter || _cfg.humFilter || _cfg.spectralSubtraction || _cfg.preprocessors.length > 0;
+        };
+
+
+        /**
+         * Returns the preprocessing chain, which is created when first needed since the inputSampleRate may change when
+         * capture starts.
+         *
+         * @returns {*}
+         * @private
+         */
+        var _getPreprocessingChain = function () {
+            if (!_preprocessingChain) {
+                _preprocessingChain = createPreprocessingChain(_cfg.inputSampleRate, _cfg.channels, _cfg);
+            }
+
+            return _preprocessingChain;
+        };
+
+
+        /**
+         * Returns the number of frames the preprocessing delays the audio, and thereby the speech detection.
+         *
+         * @returns {int}
+         * @private
+         */
+        var _getPreprocessingLatency = function () {
+            return _isPreprocessing() ? _getPreprocessingChain().latency : 0;
+        };
+
+
+        /**
+         * Runs the input buffer through the preprocessing chain.
+         *
+         * @param audioInputBuffer
+         * @returns {Float32Array} The preprocessed audio
+         * @private
+         */
+        var _preprocess = function (audioInputBuffer) {
+            // The noise profile is learned while calibrating and while nobody is speaking
+            return _getPreprocessingChain().process(audioInputBuffer, _calibrationRemaining > 0 || !_speakingRightNow);
+        };
+
+
+        /**
+         *
+         * @param audioBuffer
+         * @param analysis - (Optional) The already calculated level etc. of the audio buffer
+         * @returns {boolean}
+         * @private
+         */
+        var _identifySpeech = function (audioBuffer, analysis) {
+            try {
+
+                if (audioBuffer && audioBuffer.length > 0) {
+                    _analyzeIterations++;
+
+                    var currentLevel = analysis ? analysis.level : _getDetectionLevel(audioBuffer);
+
+                    if (currentLevel !== -Infinity) {
+
+                        _lastAudioLevel = currentLevel;
+
+                        if (_isVoiceActive(audioBuffer, analysis)) {
+                            _totalNumOfSpeechChunks++;
+                            return true;
+                        }
+                    }
+                }
+            }
+            catch (e) {
+                _callErrorCB("_identifySpeech exception: " + e, {status: STATUS.SPEECH_ERROR,
+                    source: '_identifySpeech', cause: e});
+                _callSpeechStatusCB(STATUS.SPEECH_ERROR);
+            }
+
+            return false;
+        };
+
+
+        /**
+         * Decides if the audio buffer contains speech, using the voice activity detection specified by cfg.vadMode.
+         * Must be called after _lastAudioLevel has been updated for the audio buffer.
+         *
+         * @param audioBuffer
+         * @param analysis - (Optional) The already calculated speech probability etc. of the audio buffer
+         * @returns {boolean}
+         * @private
+         */
+        var _isVoiceActive = function (audioBuffer, analysis) {
+            var signals, i;
+
+            switch (_cfg.vadMode) {
+                case VAD_MODE.CUSTOM:
+                    signals = _getDetectionSignals(audioBuffer);
+                    _lastSpeechProbability = 0;
+
+                    for (i = 0; i < signals.length; i++) {
+                        _lastSpeechProbability = Math.max(_lastSpeechProbability,
+                            _cfg.vadFunction(signals[i], _cfg.inputSampleRate));
+                    }
+                    return _lastSpeechProbability >= _cfg.vadProbabilityThreshold;
+
+                case VAD_MODE.SPECTRAL:
+                    // The spectral analysis is only used to reject sounds loud enough to be considered as speech
+                    if (_lastAudioLevel <= _getActiveThreshold()) {
+                        _lastSpeechProbability = 0;
+                        return false;
+                    }
+
+                    if (analysis && typeof analysis.probability === "number") {
+                        _lastSpeechProbability = analysis.probability;
+                    }
+                    else {
+                        signals = _getDetectionSignals(audioBuffer);
+                        _lastSpeechProbability = 0;
+
+                        for (i = 0; i < signals.length; i++) {
+                            _lastSpeechProbability = Math.max(_lastSpeechProbability,
+                                spectralAnalyzer.getSpeechProbability(signals[i], _cfg.inputSampleRate));
+                        }
+                    }
+                    return _lastSpeechProbability >= _cfg.vadProbabilityThreshold;
+
+                default:
+                case VAD_MODE.ENERGY:
+                    return _lastAudioLevel > _getActiveThreshold();
+            }
+        };
+
+
+        /**
+         * Returns the audio used for speech detection according to cfg.channelPolicy: each channel for 'any', otherwise
+         * the mixdown of all channels or the chosen channel.
+         *
+         * @param audioBuffer - The (interleaved) audio
+         * @returns {Array} Float32Arrays with the audio of a single channel
+         * @private
+         */
+        var _getDetectionSignals = function (audioBuffer) {
+            var channels = _cfg.channels,
+                signals = [],
+                c;
+
+            if (channels === 1) {
+                return [audioBuffer];
+            }
+
+            switch (_cfg.channelPolicy) {
+                case CHANNEL_POLICY.MIXDOWN:
+                    signals.push(_mixdown(audioBuffer, channels));
+                    break;
+
+                case CHANNEL_POLICY.CHANNEL:
+                    signals.push(_extractChannel(audioBuffer, _cfg.detectionChannel, channels));
+                    break;
+
+                default:
+                case CHANNEL_POLICY.ANY:
+                    for (c = 0; c < channels; c++) {
+                        signals.push(_extractChannel(audioBuffer, c, channels));
+                    }
+                    break;
+            }
+
+            return signals;
+        };
+
+
+        /**
+         * Calculates the level of each channel, and returns the level used for speech detection according to
+         * cfg.channelPolicy: the loudest channel for 'any', otherwise the level of the mixdown or the chosen channel.
+         *
+         * @param audioBuffer - The (interleaved) audio
+         * @returns {number}
+         * @private
+         */
+        var _getDetectionLevel = function (audioBuffer) {
+            var channels = _cfg.channels,
+                levels = [],
+                c;
+
+            if (channels === 1) {
+                _lastChannelLevels = [_getAudioLevels(audioBuffer)];
+                return _lastChannelLevels[0];
+            }
+
+            for (c = 0; c < channels; c++) {
+                levels.push(_getAudioLevels(_extractChannel(audioBuffer, c, channels)));
+            }
+
+            _lastChannelLevels = levels;
+
+            switch (_cfg.channelPolicy) {
+                case CHANNEL_POLICY.MIXDOWN:
+                    return _getAudioLevels(_mixdown(audioBuffer, channels));
+
+                case CHANNEL_POLICY.CHANNEL:
+                    return levels[_cfg.detectionChannel];
+
+                default:
+                case CHANNEL_POLICY.ANY:
+                    return Math.max.apply(null, levels);
+            }
+        };
+
+
+        /**
+         * Returns the threshold for continuing speech while speaking, otherwise the threshold for starting speech.
+         *
+         * @returns {number}
+         * @private
+         */
+        var _getActiveThreshold = function () {
+            return _speakingRightNow ? _currentStopThreshold : _currentThreshold;
+        };
+
+
+        /**
+         *
+         * @private
+         */
+        var _calculateAmbientAverageLevel = function (audioLevel) {
+            _silentIterations++;
+
+            if (_ambientWindowChunks > 0) {
+                // Average of the latest silence
+                _ambientHistory.push(audioLevel);
+                _ambientTotal = _ambientTotal + audioLevel;
+
+                while (_ambientHistory.length > _ambientWindowChunks) {
+                    _ambientTotal = _ambientTotal - _ambientHistory.shift();
+                }
+
+                _ambientAverageLevel = _ambientTotal / _ambientHistory.length;
+            }
+            else if (_ambientHalfLifeChunks > 0) {
+                // Exponentially decaying average
+                if (_silentIterations === 1 && _cfg.initialAmbientLevel === null) {
+                    _ambientAverageLevel = audioLevel;
+                }
+                else {
+                    var alpha = 1 - Math.pow(0.5, 1 / _ambientHalfLifeChunks);
+                    _ambientAverageLevel = _ambientAverageLevel + alpha * (audioLevel - _ambientAverageLevel);
+                }
+            }
+            else {
+                // Average of all silence
+                _ambientTotal = _ambientTotal + audioLevel;
+                _ambientAverageLevel = _ambientTotal / _silentIterations;
+            }
+
+            _calculateThresholds();
+        };
+
+
+        /**
+         * Calculates the speech thresholds from the current ambient level.
+         *
+         * @private
+         */
+        var _calculateThresholds = function () {
+            _currentThreshold = _ambientAverageLevel + _cfg.speechStartThreshold;
+            _currentThreshold = _currentThreshold > 0 ? 0 : _currentThreshold;
+            _currentStopThreshold = _ambientAverageLevel + _cfg.speechStopThreshold;
+            _currentStopThreshold = _currentStopThreshold > 0 ? 0 : _currentStopThreshold;
+        };
+
+
+        /**
+         * Uses the audio buffer to calculate the ambient level only.
+         *
+         * @param audioBuffer
+         * @param analysis - (Optional) The already calculated level of the audio buffer
+         * @param detectionBuffer - (Optional) The preprocessed audio buffer used for detection, defaults to audioBuffer
+         * @private
+         */
+        var _calibrate = function (audioBuffer, analysis, detectionBuffer) {
+            if (audioBuffer && audioBuffer.length > 0) {
+                _analyzeIterations++;
+
+                var currentLevel = analysis ? analysis.level : _getDetectionLevel(detectionBuffer || audioBuffer);
+                if (currentLevel !== -Infinity) {
+                    _lastAudioLevel = currentLevel;
+                }
+
+                _calculateAmbientAverageLevel(_lastAudioLevel);
+                _appendToPreRoll(audioBuffer);
+            }
+
+            _calibrationRemaining--;
+
+            if (_calibrationRemaining === 0) {
+                _showConsoleLog("Calibration complete, ambient level: " + _ambientAverageLevel);
+                _callSpeechStatusCB(STATUS.CALIBRATION_COMPLETE);
+            }
+        };
+
+
+        /**
+         *
+         * @param audioBuffer
+         *
+         * @private
+         * @returns {*}
+         */
+        var _getAudioLevels = function (audioBuffer) {
+            try {
+
+                var total = 0,
+                    length = audioBuffer.length,
+                    decibel,
+                    rms,
+                    absFreq;
+
+                for (var i = 0; i < length; i++) {
+                    absFreq = Math.abs(audioBuffer[i]);
+                    total += ( absFreq * absFreq );
+                }
+
+                rms = Math.sqrt(total / length);
+                decibel = _getDecibelFromAmplitude(rms);
+
+
+                return decibel;
+            }
+            catch (e) {
+                _callErrorCB("_getAudioLevels exception: " + e, {status: STATUS.SPEECH_ERROR,
+                    source: '_getAudioLevels', cause: e});
+                _callSpeechStatusCB(STATUS.SPEECH_ERROR);
+            }
+
+            return null;
+        };
+
+
+        /**
+         * Convert amplitude to decibel
+         *
+         * @param amplitudeLevel
+         * @returns {number}
+         * @private
+         */
+        var _getDecibelFromAmplitude = function (amplitudeLevel) {
+            return 20 * ( Math.log(amplitudeLevel) / Math.log(10) );
+        };
+
+
+        /**
+         *
+         * @private
+         */
+        var _resetAll = function () {
+            _speakingRightNow = false;
+
+            _resetAudioInputQueue();
+            _resetSpeechDetection();
+            _resetPreRoll();
+            _resetAmbientLevels();
+
+            _noOfEventsContinue = 0;
+            _noOfEventsStart = 0;
+            _noOfEventsStop = 0;
+            _noOfEventsMax = 0;
+            _noOfEventsMin = 0;
+            _totalNumOfSpeechChunks = 0;
+
+            _audioInputEvents = 0;
+            _analyzeIterations = 0;
+            _processingIterations = 0;
+            _droppedInputBuffers = 0;
+            _lastAudioLevel = -50;
+            _lastSpeechProbability = 0;
+            _lastChannelLevels = [];
+            _preprocessingChain = null;
+            _monitoredFrames = 0;
+            _historyEndFrame = 0;
+
+            _audioInputDataTotal = 0;
+        };
+
+
+        /**
+         *
+         * @private
+         */
+        var _resetAmbientLevels = function () {
+            _ambientTotal = 0;
+            _ambientAverageLevel = 0;
+            _ambientHistory = [];
+            _silentIterations = 0;
+            _currentThreshold = 0;
+            _currentStopThreshold = 0;
+            _calibrationRemaining = _calibrationChunks;
+
+            // Seed the ambient level, typically with the level from a previous capture
+            if (typeof _cfg.initialAmbientLevel === "number") {
+                _ambientAverageLevel = _cfg.initialAmbientLevel;
+                _calculateThresholds();
+
+                if (_ambientWindowChunks > 0) {
+                    _ambientHistory.push(_cfg.initialAmbientLevel);
+                    _ambientTotal = _cfg.initialAmbientLevel;
+                }
+                else if (!_ambientHalfLifeChunks) {
+                    _ambientTotal = _cfg.initialAmbientLevel;
+                    _silentIterations = 1;
+                }
+            }
+        };
+
+
+        /**
+         *
+         * @private
+         */
+        var _resetAudioInputQueue = function () {
+            _audioDataQueue = [];
+        };
+
+
+        /**
+         *
+         * @private
+         */
+        var _resetSpeechDetection = function () {
+            _currentSpeechHistory = new Float32Array(0);
+            _currentSpeechChunks = [];
+            _splitContinuation = false;
+            _currentSpeechLength = 0;
+            _noSpeechPeriod = 0;
+            _speechPauses = 0;
+            _postRollRemaining = 0;
+            _speechChunkData = new Float32Array(0);
+            _speechChunkSeq = 0;
+        };
+
+
+        /**
+         *
+         * @private
+         */
+        var _resetPreRoll = function () {
+            _preRollHistory = [];
+            _pendingSpeechChunks = [];
+        };
+
+
+        /**
+         * Handles speech chunks that were too few to start speech as audio without speech.
+         *
+         * @private
+         */
+        var _discardPendingSpeechChunks = function () {
+            var chunks = _pendingSpeechChunks;
+            _pendingSpeechChunks = [];
+
+            for (var i = 0; i < chunks.length; i++) {
+                _appendSilence(chunks[i]);
+            }
+        };
+
+
+        /**
+         * Handles audio without speech while no speech is ongoing. It's retained after the previous speech while its
+         * post-roll lasts, and otherwise kept for the pre-roll of the next speech, so it's never captured twice.
+         *
+         * @param audioData
+         * @private
+         */
+        var _appendSilence = function (audioData) {
+            if (_postRollRemaining > 0) {
+                _continuePostRollEvent(audioData);
+            }
+            else {
+                _appendToPreRoll(audioData);
+            }
+        };
+
+
+        /**
+         *
+         * @private
+         */
+        var _stopSpeech = function () {
+            _speakingRightNow = false;
+            _callSpeechStatusCB(STATUS.SPEECH_STOPPED);
+        };
+
+
+        /**
+         *
+         * @private
+         */
+        var _startSpeech = function () {
+            _speakingRightNow = true;
+            _callSpeechStatusCB(STATUS.SPEECH_STARTED);
+        };
+
+
+        /**
+         *
+         * @param speechData
+         * @private
+         */
+        var _startSpeechEvent = function (speechData) {
+            _noOfEventsStart++;
+            _utteranceId++;
+            _startSpeech();
+            _resetSpeechDetection();
+
+            // Include the audio just before the speech was detected, so that the onset isn't lost
+            if (!_cfg.detectOnly) {
+                for (var i = 0; i < _preRollHistory.length; i++) {
+                    _appendToHistory(_preRollHistory[i], false);
+                }
+            }
+            _resetPreRoll();
+
+            _continueSpeechEvent(speechData, false);
+        };
+
+
+        /**
+         *
+         * @param speechData
+         * @param silent true if this continue event is considered silent
+         * @private
+         */
+        var _continueSpeechEvent = function (speechData, silent) {
+            _noOfEventsContinue++;
+            _appendSpeechToHistory(speechData);
+            if (!silent) {
+                if (_noSpeechPeriod > 0) {
+                    _speechPauses++;
+                }
+                _noSpeechPeriod = 0;
+            }
+        };
+
+
+        /**
+         *
+         * @param speechData
+         * @private
+         */
+        var _maximumLengthSpeechEvent = function (speechData) {
+            _noOfEventsMax++;
+            _stopSpeechEvent(speechData, END_REASON.MAX_LENGTH);
+            _callSpeechStatusCB(STATUS.SPEECH_MAX_LENGTH);
+        };
+
+
+        /**
+         * The maximum length has been reached, so the speech is split at the quietest part of its latter half. The
+         * first part is captured, while the rest continues as a new speech. Streamed audio can't be taken back, so
+         * when streaming only the audio that hasn't been streamed yet is considered.
+         *
+         * @private
+         */
+        var _splitSpeechEvent = function () {
+            var numChunks = _currentSpeechChunks.length,
+                splitChunk = numChunks - 1,
+                quietestLevel = Infinity,
+                streamedLength = _isStreaming() ? _currentSpeechHistory.length - _speechChunkData.length : 0,
+                i;
+
+            _noOfEventsMax++;
+
+            for (i = Math.floor(numChunks / 2); i < numChunks; i++) {
+                var chunkStart = i > 0 ? _currentSpeechChunks[i - 1].end : 0,
+                    level = _getAudioLevels(_currentSpeechHistory.slice(chunkStart, _currentSpeechChunks[i].end));
+
+                // The latest of equally quiet chunks keeps the first part as long as possible
+                if (chunkStart >= streamedLength && level <= quietestLevel) {
+                    quietestLevel = level;
+                    splitChunk = i;
+                }
+            }
+
+            // Split in the middle of the quietest chunk
+            var splitIdx = 0,
+                remainingChunks = [],
+                firstLength = 0,
+                remainingLength = 0;
+
+            if (numChunks > 0) {
+                var splitChunkStart = splitChunk > 0 ? _currentSpeechChunks[splitChunk - 1].end : 0;
+                splitIdx = Math.floor((splitChunkStart + _currentSpeechChunks[splitChunk].end) / 2 / _cfg.channels) *
+                    _cfg.channels;
+                splitIdx = Math.max(splitIdx, streamedLength);
+            }
+
+            for (i = 0; i < numChunks; i++) {
+                if (i <= splitChunk) {
+                    firstLength += _currentSpeechChunks[i].counted ? 1 : 0;
+                }
+                else {
+                    remainingChunks.push({
+                        end: _currentSpeechChunks[i].end - splitIdx,
+                        counted: _currentSpeechChunks[i].counted
+                    });
+                    remainingLength += _currentSpeechChunks[i].counted ? 1 : 0;
+                }
+            }
+
+            // The remaining half of the split chunk belongs to the next speech
+            if (numChunks > 0 && _currentSpeechChunks[splitChunk].end > splitIdx) {
+                remainingChunks.unshift({
+                    end: _currentSpeechChunks[splitChunk].end - splitIdx,
+                    counted: false
+                });
+            }
+
+            // Without any captured audio (detect only), all of the speech so far is captured
+            if (numChunks === 0) {
+                firstLength = _currentSpeechLength;
+            }
+
+            var remainingHistory = _currentSpeechHistory.slice(splitIdx),
+                remainingChunkData = new Float32Array(0);
+
+            // The final chunk of the first part ends at the same sample as its audio
+            if (_isStreaming()) {
+                remainingChunkData = _speechChunkData.slice(splitIdx - streamedLength);
+                _speechChunkData = _speechChunkData.slice(0, splitIdx - streamedLength);
+            }
+
+            _currentSpeechLength = firstLength;
+            _handleAudioBufferCreation(_currentSpeechHistory.slice(0, splitIdx), END_REASON.MAX_LENGTH);
+            _callSpeechStatusCB(STATUS.SPEECH_MAX_LENGTH);
+
+            _utteranceId++;
+            _speechPauses = 0;
+            _currentSpeechHistory = remainingHistory;
+            _currentSpeechChunks = remainingChunks;
+            _currentSpeechLength = remainingLength;
+            _speechChunkData = remainingChunkData;
+            _splitContinuation = true;
+        };
+
+
+        /**
+         *
+         * @param speechData
+         * @param endReason - (Optional) Why the speech ended, END_REASON.SILENCE by default
+         * @private
+         */
+        var _stopSpeechEvent = function (speechData, endReason) {
+            _noOfEventsStop++;
+            _handleAudioBufferCreation(speechData, endReason);
+            _stopSpeech();
+            _resetSpeechDetection();
+        };
+
+
+        /**
+         * Speech has stopped, but the following silence is retained for a while before the speech is captured.
+         *
+         * @param speechData
+         * @private
+         */
+        var _startPostRollEvent = function (speechData) {
+            _noOfEventsStop++;
+            _stopSpeech();
+            _postRollRemaining = _speechPostRollChunks;
+            _continuePostRollEvent(speechData);
+        };
+
+
+        /**
+         *
+         * @param speechData
+         * @private
+         */
+        var _continuePostRollEvent = function (speechData) {
+            _appendToHistory(speechData, false);
+            _postRollRemaining--;
+
+            if (_postRollRemaining <= 0) {
+                _finishPostRollEvent();
+            }
+        };
+
+
+        /**
+         *
+         * @param endReason - (Optional) Why the speech ended, END_REASON.SILENCE by default
+         * @private
+         */
+        var _finishPostRollEvent = function (endReason) {
+            _handleAudioBufferCreation(_currentSpeechHistory, endReason);
+            _resetSpeechDetection();
+        };
+
+
+        /**
+         * Keeps the most recent audio chunks while no speech is ongoing.
+         *
+         * @param audioData
+         * @private
+         */
+        var _appendToPreRoll = function (audioData) {
+            if (_speechPreRollChunks > 0 && !_cfg.detectOnly) {
+                _preRollHistory.push(audioData);
+
+                while (_preRollHistory.length > _speechPreRollChunks) {
+                    _preRollHistory.shift();
+                }
+            }
+        };
+
+
+        /**
+         *
+         * @param speechData
+         * @private
+         */
+        var _appendSpeechToHistory = function (speechData) {
+            if (!_cfg.detectOnly) {
+                _appendToHistory(speechData, true);
+            }
+            _currentSpeechLength++;
+        };
+
+
+        /**
+         * Appends audio to the captured speech, and streams it if speech chunks are requested.
+         *
+         * @param audioData
+         * @param counted true if the audio is counted in the speech length
+         * @private
+         */
+        var _appendToHistory = function (audioData, counted) {
+            _historyEndFrame = _monitoredFrames;
+            _growSpeechHistory(audioData);
+            _currentSpeechChunks.push({
+                end: _currentSpeechHistory.length,
+                counted: counted
+            });
+
+            if (_isStreaming()) {
+                // The streamed audio is held back until more audio arrives, so that the final chunk is never empty,
+                // and until the speech is long enough to be captured.
+                if (_speechChunkData.length > 0 && _isSpeechLongEnough() &&
+                    _speechChunkData.length >= _cfg.speechChunkLength / 1000 * _cfg.inputSampleRate * _cfg.channels) {
+                    _callSpeechChunkCB(false);
+                }
+
+                _speechChunkData = _speechChunkData.concat(audioData);
+            }
+        };
+
+
+        /**
+         * Appends audio to the speech history without copying all of it every time, by using the start of a buffer
+         * that grows geometrically. The history is copied before it's captured, so the buffer is never handed out.
+         *
+         * @param audioData
+         * @private
+         */
+        var _growSpeechHistory = function (audioData) {
+            var length = _currentSpeechHistory.length,
+                newLength = length + audioData.length;
+
+            // A history that has been reset or split is a new array
+            if (_currentSpeechHistory.buffer !== _speechHistoryBuffer.buffer ||
+                newLength > _speechHistoryBuffer.length) {
+                var buffer = new Float32Array(2 * newLength);
+
+                buffer.set(_currentSpeechHistory);
+                _speechHistoryBuffer = buffer;
+            }
+
+            _speechHistoryBuffer.set(audioData, length);
+            _currentSpeechHistory = _speechHistoryBuffer.subarray(0, newLength);
+        };
+
+
+        /**
+         *
+         * @returns {boolean} true if the speech is long enough to be captured. The rest of a split speech always is.
+         * @private
+         */
+        var _isSpeechLongEnough = function () {
+            return _currentSpeechLength > _speechMinimumLengthChunks || _splitContinuation;
+        };
+
+
+        /**
+         *
+         * @returns {boolean}
+         * @private
+         */
+        var _isStreaming = function () {
+            return !_cfg.detectOnly && !!(_cfg.onSpeechChunk || _hasEventListeners(EVENT.SPEECH_CHUNK));
+        };
+
+
+        /**
+         * Delivers the speech streamed since the previous chunk.
+         *
+         * @param final true if this is the last chunk of the speech
+         * @private
+         */
+        var _callSpeechChunkCB = function (final) {
+            var chunkData = _speechChunkData,
+                info = {
+                    utteranceId: _utteranceId,
+                    seq: _speechChunkSeq,
+                    final: final
+                };
+
+            _speechChunkData = new Float32Array(0);
+            _speechChunkSeq = final ? 0 : _speechChunkSeq + 1;
+
+            if (_cfg.onSpeechChunk) {
+                try {
+                    _cfg.onSpeechChunk(chunkData, info);
+                }
+                catch (e) {
+                    _callErrorCB("_callSpeechChunkCB: onSpeechChunk exception: " + e, {
+                        code: ERROR_CODE.CALLBACK_FAILED,
+                        source: '_callSpeechChunkCB',
+                        cause: e
+                    });
+                }
+            }
+
+            _dispatchEvent(EVENT.SPEECH_CHUNK, {
+                data: chunkData,
+                utteranceId: info.utteranceId,
+                seq: info.seq,
+                final: info.final
+            });
+        };
+
+
+        /**
+         *
+         * @param speechData
+         * @param endReason - (Optional) Why the speech ended, END_REASON.SILENCE by default
+         * @private
+         */
+        var _handleAudioBufferCreation = function (speechData, endReason) {
+
+            var longEnough = _isSpeechLongEnough();
+
+            if (_isStreaming()) {
+                if (longEnough && _speechChunkData.length > 0) {
+                    _callSpeechChunkCB(true);
+                }
+                else {
+                    _speechChunkData = new Float32Array(0);
+                    _speechChunkSeq = 0;
+                }
+            }
+
+            // Was the speech long enough to create an audio buffer?
+            if (longEnough) {
+                // Any silent lead-in of the preprocessing delay (captured as pre-roll) isn't part of the audio
+                var leadInFrames = Math.max(0, _getPreprocessingLatency() -
+                        (_historyEndFrame - _currentSpeechHistory.length / _cfg.channels)),
+                    preEncodingBuffer = speechData.slice(leadInFrames * _cfg.channels), // Create a copy
+                    speechMetadata = _createSpeechMetadata(preEncodingBuffer, endReason || END_REASON.SILENCE);
+
+                if (_analysisResults) {
+                    _analysisResults.push({
+                        startOffset: speechMetadata.startOffset,
+                        endOffset: speechMetadata.endOffset,
+                        duration: speechMetadata.duration,
+                        level: speechMetadata.level,
+                        peakLevel: speechMetadata.peakLevel,
+                        ambientLevel: speechMetadata.ambientLevel,
+                        threshold: speechMetadata.threshold
+                    });
+                }
+
+                if (_cfg.audioResultType !== AUDIO_RESULT_TYPE.DETECTION_ONLY) {
+                    _pendingDeliveries++;
+                    speechMetadata.processing = _processSpeechData(preEncodingBuffer);
+                }
+
+                switch (_cfg.audioResultType) {
+                    case AUDIO_RESULT_TYPE.WEBAUDIO_AUDIOBUFFER:
+                        _createWebAudioBuffer(preEncodingBuffer, speechMetadata);
+                        break;
+                    case AUDIO_RESULT_TYPE.RAW_DATA:
+                        _createRawData(preEncodingBuffer, speechMetadata);
+                        break;
+                    case AUDIO_RESULT_TYPE.FLAC_BLOB:
+                        _createCompressedAudio(preEncodingBuffer, 'flac', speechMetadata);
+                        break;
+                    case AUDIO_RESULT_TYPE.OGG_OPUS_BLOB:
+                        _createCompressedAudio(preEncodingBuffer, 'opus', speechMetadata);
+                        break;
+                    case AUDIO_RESULT_TYPE.DETECTION_ONLY:
+                        // We just ignore this, since we are in detection only mode.
+                        break;
+                    default:
+                    case AUDIO_RESULT_TYPE.WAV_BLOB:
+                        _createWAVAudioBuffer(preEncodingBuffer, speechMetadata);
+                        break;
+                }
+            }
+            else {
+                _noOfEventsMin++;
+                _callSpeechStatusCB(STATUS.SPEECH_MIN_LENGTH);
+            }
+        };
+
+
+        /**
+         * Describes the speech to be captured. Must be called while the speech is the start of the speech history.
+         * Times are in mS (startTime and endTime since the epoch, the offsets since the capture started), samples are
+         * counted per channel at the inputSampleRate and levels are in dB.
+         *
+         * @param speechData
+         * @param endReason - One of END_REASON
+         * @returns {{utteranceId: number, startTime: number, endTime: number, startOffset: number, endOffset: number,
+         * startSample: number, endSample: number, duration: number, level: number, peakLevel: number,
+         * ambientLevel: number, threshold: number, endReason: string, pauseCount: number, latency: number}}
+         * @private
+         */
+        var _createSpeechMetadata = function (speechData, endReason) {
+            var latency = _getPreprocessingLatency(),
+                startSample = Math.max(0, _historyEndFrame - _currentSpeechHistory.length / _cfg.channels - latency),
+                endSample = startSample + speechData.length / _cfg.channels,
+                startOffset = Math.round(startSample / _cfg.inputSampleRate * 1000),
+                endOffset = Math.round(endSample / _cfg.inputSampleRate * 1000),
+                peak = 0;
+
+            for (var i = 0; i < speechData.length; i++) {
+                peak = Math.max(peak, Math.abs(speechData[i]));
+            }
+
+            return {
+                utteranceId: _utteranceId,
+                startTime: Math.round(_captureStartTime) + startOffset,
+                endTime: Math.round(_captureStartTime) + endOffset,
+                startOffset: startOffset,
+                endOffset: endOffset,
+                startSample: startSample,
+                endSample: endSample,
+                duration: endOffset - startOffset,
+                level: _getAudioLevels(speechData),
+                peakLevel: _getDecibelFromAmplitude(peak),
+                ambientLevel: _ambientAverageLevel,
+                threshold: _currentThreshold,
+                endReason: endReason,
+                pauseCount: _speechPauses,
+                latency: Math.round(latency / _cfg.inputSampleRate * 1000)
+            };
+        };
+
+
+        /**
+         * Removes the DC offset, normalizes and limits the captured speech in place, according to the cfg.
+         *
+         * @param speechData
+         * @returns {*} What was done, see audioNormalizer.process, or null if no processing is configured
+         * @private
+         */
+        var _processSpeechData = function (speechData) {
+            if (!_cfg.removeDCOffset && _cfg.normalization === NORMALIZATION.NONE && !_cfg.limiter) {
+                return null;
+            }
+
+            try {
+                return audioNormalizer.process(speechData, _cfg.inputSampleRate, _cfg.channels, {
+                    removeDCOffset: _cfg.removeDCOffset,
+                    normalization: _cfg.normalization,
+                    target: _cfg.normalizationTarget,
+                    maxGain: _cfg.maxNormalizationGain,
+                    limiter: _cfg.limiter,
+                    limiterThreshold: _cfg.limiterThreshold
+                });
+            }
+            catch (e) {
+                _callErrorCB("_processSpeechData exception: " + e, {source: '_processSpeechData', cause: e});
+                return null;
+            }
+        };
+
+
+        /**
+         * Returns the metadata chunks to include in WAV results, according to cfg.wavMetadata.
+         *
+         * @param speechMetadata
+         * @returns {*}
+         * @private
+         */
+        var _getWAVMetadata = function (speechMetadata) {
+            var wavMetadata = _cfg.wavMetadata;
+
+            if (!wavMetadata || !speechMetadata) {
+                return null;
+            }
+
+            return {
+                info: wavMetadata.info || null,
+                bext: wavMetadata.bext || null,
+                cue: !!wavMetadata.cue,
+                speech: speechMetadata
+            };
+        };
+
+
+        /**
+         *
+         * @param rawAudioBuffer
+         * @param speechMetadata - (Optional) Used for the WAV metadata chunks
+         * @private
+         */
+        var _createWAVAudioBuffer = function (rawAudioBuffer, speechMetadata) {
+            try {
+                _showConsoleLog("_createWAVAudioBuffer: " + rawAudioBuffer.length);
+
+                if (_cfg.useWorker && (_cfg.inputSampleRate === _cfg.sampleRate || _cfg.resampler !== RESAMPLER.WEB_AUDIO)) {
+                    _encodeAudio(_createEncodingJob('wav', rawAudioBuffer, speechMetadata), true, function (wavBlob) {
+                            _callSpeechCapturedCB(wavBlob, speechMetadata);
+                        }, function (error) {
+                            _deliveryFailed("_createWAVAudioBuffer (in worker) failed: " + error,
+                                '_createWAVAudioBuffer', ERROR_CODE.ENCODING_FAILED, error);
+                        });
+                    return;
+                }
+
+                /**
+                 *
+                 * @param audioBuffer
+                 */
+                var funcEncodeAudioBufferToWAVDataAndCallCB = function (audioBuffer) {
+                    try {
+                        var rawAudioBuffer = null;
+                        if (audioBuffer.numberOfChannels === 1) {
+                            rawAudioBuffer = audioBuffer.getChannelData(0);
+                        }
+                        else {
+                            var channelData = [];
+                            for (var c = 0; c < audioBuffer.numberOfChannels; c++) {
+                                channelData.push(audioBuffer.getChannelData(c));
+                            }
+                            rawAudioBuffer = _interleave(channelData);
+                        }
+
+                        var wavData = wavEncoder.encode(rawAudioBuffer, _cfg.sampleRate, _cfg.channels, _cfg.wavFormat,
+                            _getWAVMetadata(speechMetadata));
+
+                        _callSpeechCapturedCB(new Blob([wavData], {
+                            type: 'audio/wav'
+                        }), speechMetadata);
+                    }
+                    catch (ex) {
+                        _deliveryFailed("_createWAVAudioBuffer (with resampling) exception: " + ex,
+                            '_createWAVAudioBuffer', ERROR_CODE.RESAMPLING_ERROR, ex);
+                    }
+                };
+
+                /**
+                 *
+                 * @param rawAudioBuffer
+                 */
+                var funcEncodeRawAudioBufferToWAVDataAndCallCB = function (rawAudioBuffer) {
+                    try {
+                        var wavData = wavEncoder.encode(rawAudioBuffer, _cfg.sampleRate, _cfg.channels, _cfg.wavFormat,
+                            _getWAVMetadata(speechMetadata));
+
+                        _callSpeechCapturedCB(new Blob([wavData], {
+                            type: 'audio/wav'
+                        }), speechMetadata);
+                    }
+                    catch (ex) {
+                        _deliveryFailed("_createWAVAudioBuffer exception: " + ex, '_createWAVAudioBuffer',
+                            ERROR_CODE.ENCODING_FAILED, ex);
+                    }
+                };
+
+                if (_cfg.inputSampleRate !== _cfg.sampleRate) {
+                    if (_useWebAudioResampler()) {
+                        var audioBuffer = _createAudioBufferFromRawData(rawAudioBuffer, _cfg.inputSampleRate);
+                        ReSampler.resampleAudioBuffer(audioBuffer, _cfg.sampleRate, funcEncodeAudioBufferToWAVDataAndCallCB, _resamplingFailed);
+                    }
+                    else if (_cfg.resampler !== RESAMPLER.WEB_AUDIO) {
+                        funcEncodeRawAudioBufferToWAVDataAndCallCB(_resampleRawData(rawAudioBuffer));
+                    }
+                    else {
+                        _deliveryFailed("_createWAVAudioBuffer (with resampling) failed since Web Audio API isn't supported. " +
+                            "Remove the 'samplerate' from the start configuration in order to use the default samplerate of " +
+                            "the platform and avoid this error.", '_createWAVAudioBuffer', ERROR_CODE.RESAMPLING_UNSUPPORTED);
+                    }
+                }
+                else {
+                    funcEncodeRawAudioBufferToWAVDataAndCallCB(rawAudioBuffer);
+                }
+            }
+            catch (e) {
+                _deliveryFailed("_createWAVAudioBuffer exception: " + e, '_createWAVAudioBuffer',
+                    ERROR_CODE.ENCODING_FAILED, e);
+            }
+        };
+
+
+        /**
+         * Encodes the audio as FLAC or Ogg Opus in the encoder worker, and calls the speechCapturedCB with a Blob.
+         *
+         * @param rawAudioBuffer
+         * @param format - 'flac' or 'opus'
+         * @param speechMetadata
+         * @private
+         */
+        var _createCompressedAudio = function (rawAudioBuffer, format, speechMetadata) {
+            try {
+                _showConsoleLog("_createCompressedAudio (" + format + "): " + rawAudioBuffer.length);
+
+                var funcEncodeAndCallCB = function (job) {
+                    _encodeAudio(job, true, function (blob) {
+                        _callSpeechCapturedCB(blob, speechMetadata);
+                    }, function (error) {
+                        _deliveryFailed("_createCompressedAudio (" + format + ") failed: " + error,
+                            '_createCompressedAudio', ERROR_CODE.ENCODING_FAILED, error);
+                    });
+                };
+
+                if (_cfg.inputSampleRate !== _cfg.sampleRate) {
+                    if (_useWebAudioResampler()) {
+                        ReSampler.resampleAudioBuffer(_createAudioBufferFromRawData(rawAudioBuffer, _cfg.inputSampleRate),
+                            _cfg.sampleRate, function (audioBuffer) {
+                                var channelData = [];
+                                for (var c = 0; c < audioBuffer.numberOfChannels; c++) {
+                                    channelData.push(audioBuffer.getChannelData(c));
+                                }
+
+                                // A copy, since the samples are transferred to the worker
+                                var job = _createEncodingJob(format, channelData.length === 1 ?
+                                    channelData[0].slice(0) : _interleave(channelData));
+                                job.inputSampleRate = _cfg.sampleRate;
+
+                                funcEncodeAndCallCB(job);
+                            }, _resamplingFailed);
+                    }
+                    else if (_cfg.resampler !== RESAMPLER.WEB_AUDIO) {
+                        funcEncodeAndCallCB(_createEncodingJob(format, rawAudioBuffer)); // Resampled by the encoder
+                    }
+                    else {
+                        _deliveryFailed("_createCompressedAudio (with resampling) failed since Web Audio API isn't supported.",
+                            '_createCompressedAudio', ERROR_CODE.RESAMPLING_UNSUPPORTED);
+                    }
+                }
+                else {
+                    funcEncodeAndCallCB(_createEncodingJob(format, rawAudioBuffer));
+                }
+            }
+            catch (e) {
+                _deliveryFailed("_createCompressedAudio exception: " + e, '_createCompressedAudio',
+                    ERROR_CODE.ENCODING_FAILED, e);
+            }
+        };
+
+
+        /**
+         *
+         * @param rawAudioBuffer
+         * @param speechMetadata
+         * @private
+         */
+        var _createWebAudioBuffer = function (rawAudioBuffer, speechMetadata) {
+            try {
+                var funcCallCB = function (audioBuffer) {
+                    _callSpeechCapturedCB(audioBuffer, speechMetadata);
+                };
+
+                _showConsoleLog("_createWebAudioBuffer: " + rawAudioBuffer.length);
+
+                if (_cfg.inputSampleRate !== _cfg.sampleRate) {
+                    try {
+                        _showConsoleLog("_createWebAudioBuffer - Resample audio from " + _cfg.inputSampleRate + " to " + _cfg.sampleRate + ": " + rawAudioBuffer.length);
+
+                        if (_useWebAudioResampler()) {
+                            ReSampler.resampleAudioBuffer(_createAudioBufferFromRawData(rawAudioBuffer, _cfg.inputSampleRate),
+                                _cfg.sampleRate, funcCallCB, _resamplingFailed);
+                        }
+                        else if (_cfg.useWorker) {
+                            _encodeAudio(_createEncodingJob('raw', rawAudioBuffer), true, function (samples) {
+                                funcCallCB(_createAudioBufferFromRawData(samples, _cfg.sampleRate));
+                            }, _resamplingFailed);
+                        }
+                        else {
+                            funcCallCB(_createAudioBufferFromRawData(_resampleRawData(rawAudioBuffer), _cfg.sampleRate));
+                        }
+                    }
+                    catch (e) {
+                        _deliveryFailed("_createWebAudioBuffer resampling exception: " + e, '_createWebAudioBuffer',
+                            ERROR_CODE.RESAMPLING_ERROR, e);
+                    }
+                }
+                else {
+                    funcCallCB(_createAudioBufferFromRawData(rawAudioBuffer, _cfg.inputSampleRate));
+                }
+            }
+            catch (e) {
+                _deliveryFailed("_createWebAudioBuffer exception: " + e, '_createWebAudioBuffer',
+                    ERROR_CODE.ENCODING_FAILED, e);
+            }
+        };
+
+
+        /**
+         *
+         * @param rawAudioBuffer
+         * @param speechMetadata
+         * @private
+         */
+        var _createRawData = function (rawAudioBuffer, speechMetadata) {
+            try {
+                if (_cfg.inputSampleRate !== _cfg.sampleRate && _cfg.useWorker) {
+                    _encodeAudio(_createEncodingJob('raw', rawAudioBuffer), true, function (samples) {
+                        _callSpeechCapturedCB(samples, speechMetadata);
+                    }, _resamplingFailed);
+                    return;
+                }
+
+                if (_cfg.inputSampleRate !== _cfg.sampleRate) {
+                    rawAudioBuffer = _resampleRawData(rawAudioBuffer);
+                }
+
+                _callSpeechCapturedCB(rawAudioBuffer, speechMetadata);
+            }
+            catch (e) {
+                _deliveryFailed("_createRawData resampling exception: " + e, '_createRawData',
+                    ERROR_CODE.RESAMPLING_ERROR, e);
+            }
+        };
+
+
+        /**
+         * Returns true if the audio should be resampled using the OfflineAudioContext of the Web Audio API.
+         *
+         * @returns {boolean}
+         * @private
+         */
+        var _useWebAudioResampler = function () {
+            // When using the worker, 'auto' means resampling with the JavaScript resampler in the worker
+            if (_cfg.useWorker && _cfg.resampler === RESAMPLER.AUTO) {
+                return false;
+            }
+
+            return _webAudioAPISupported && typeof OfflineAudioContext !== "undefined" &&
+                (_cfg.resampler === RESAMPLER.AUTO || _cfg.resampler === RESAMPLER.WEB_AUDIO);
+        };
+
+
+        /**
+         * Creates a job for the encoder, which resamples the audio from the inputSampleRate to the sampleRate if they
+         * differ, using the JavaScript resampler.
+         *
+         * @param format - 'wav', 'flac', 'opus' or 'raw' (only resample)
+         * @param rawAudioBuffer - Transferred to the encoder worker, and can't be used afterwards
+         * @param speechMetadata - (Optional) Used for the WAV metadata chunks
+         * @returns {{}}
+         * @private
+         */
+        var _createEncodingJob = function (format, rawAudioBuffer, speechMetadata) {
+            return {
+                format: format,
+                samples: rawAudioBuffer,
+                inputSampleRate: _cfg.inputSampleRate,
+                sampleRate: _cfg.sampleRate,
+                channels: _cfg.channels,
+                quality: _cfg.resampler === RESAMPLER.LINEAR ? RESAMPLER.LINEAR : RESAMPLER.SINC,
+                wavFormat: _cfg.wavFormat,
+                wavMetadata: _getWAVMetadata(speechMetadata),
+                bitrate: _cfg.opusBitrate
+            };
+        };
+
+
+        /**
+         * Resamples the (interleaved) audio from the inputSampleRate to the sampleRate using the JavaScript resampler.
+         *
+         * @param rawAudioBuffer
+         * @returns {Float32Array}
+         * @private
+         */
+        var _resampleRawData = function (rawAudioBuffer) {
+            return ReSampler.resample(rawAudioBuffer, _cfg.inputSampleRate, _cfg.sampleRate, _cfg.channels,
+                _cfg.resampler === RESAMPLER.LINEAR ? RESAMPLER.LINEAR : RESAMPLER.SINC);
+        };
+
+
+        /**
+         *
+         * @param rawAudioBuffer
+         * @param sampleRate
+         * @returns {AudioBuffer}
+         * @private
+         */
+        var _createAudioBufferFromRawData = function (rawAudioBuffer, sampleRate) {
+
+            var audioBuffer = getAudioContext().createBuffer(_captureCfg.channels, (rawAudioBuffer.length / _captureCfg.channels),
+                sampleRate);
+
+            if (_captureCfg.channels > 1) {
+                for (var i = 0; i < _captureCfg.channels; i++) {
+                    audioBuffer.getChannelData(i).set(_extractChannel(rawAudioBuffer, i, _captureCfg.channels));
+                }
+            }
+            else {
+                // For just one channels (mono)
+                audioBuffer.getChannelData(0).set(rawAudioBuffer);
+            }
+
+            return audioBuffer;
+        };
+
+
+        /**
+         * Creates the Web Audio Context if needed
+         * @private
+         */
+        var _initWebAudio = function (audioCtxFromCfg, preferGUM) {
+            try {
+                _webAudioAPISupported = false;
+
+                window.AudioContext = window.AudioContext || window.webkitAudioContext;
+
+                if (audioCtxFromCfg) {
+                    _showConsoleLog("Using Audio Context provided in cfg.");
+                    _audioContext = audioCtxFromCfg;
+                    _audioContextCreated = false;
+                    _webAudioAPISupported = true;
+                }
+                else if (!_audioContext) {
+                    _showConsoleLog("Creating new Audio Context.");
+                    _audioContext = new window.AudioContext();
+                    _audioContextCreated = true;
+                    _webAudioAPISupported = true;
+                }
+                else if (_audioContext) {
+                    _webAudioAPISupported = true;
+                }
+
+                _getUserMedia = _resolveGetUserMedia();
+
+                if (_getUserMedia) {
+                    _getUserMediaSupported = true;
+
+                    //noinspection JSUnresolvedVariable
+                    if (preferGUM || !_cfg.audioinputPluginActive || !window.audioinput) {
+                        _getUserMediaMode = true;
+                        _cfg.inputSampleRate = _audioContext.sampleRate;
+                        _showConsoleLog("The current Audio Context samplerate is: " + _cfg.inputSampleRate);
+                    }
+                }
+                else {
+                    _showConsoleLog("navigator.(webkit)getUserMedia is not supported on this platform.");
+                }
+
+                return true;
+            }
+            catch (e) {
+                return false;
+            }
+        };
+
+        /**
+         *
+         * @returns {boolean}
+         */
+        var _startMediaStreamSource = function () {
+            var startDeferred = _startDeferred;
+
+            if (_getUserMedia && _getUserMediaMode) {
+                try {
+                    _getUserMedia({
+                        video: false,
+                        audio: _getAudioConstraints()
+                    }, function (stream) {
+                        if (_startCancelled(startDeferred)) {
+                            _stopTracks(stream);
+                            return;
+                        }
+
+                        try {
+                            _inputStream = stream;
+                            _mediaStream = _audioContext.createMediaStreamSource(stream);
+
+                            if (_cfg.useAudioWorklet && _isAudioWorkletSupported()) {
+                                _startAudioWorklet();
+                            }
+                            else {
+                                _startScriptProcessor();
+                            }
+                        }
+                        catch (e) {
+                            _captureStartFailed("Failed to start the MediaStream capture: " + e,
+                                '_startMediaStreamSource', e);
+                            _captureStopped();
+                        }
+                    }, function (error) {
+                        if (_startCancelled(startDeferred)) {
+                            return;
+                        }
+
+                        _captureStartFailed("Failed to get MediaStream: " + error, '_startMediaStreamSource', error);
+                        _captureStopped();
+                    });
+                }
+                catch (e) {
+                    _captureStartFailed("Failed to start the MediaStream capture: " + e, '_startMediaStreamSource', e);
+                    _captureStopped();
+                }
+            }
+            else {
+                throw new SpeechCaptureError("GetUserMedia is not supported!", ERROR_CODE.NO_WEB_AUDIO_SUPPORT,
+                    {source: '_startMediaStreamSource'});
+            }
+        };
+
+
+        /**
+         * Returns the audio constraints used with getUserMedia. Constraints not set in the cfg are left to the browser.
+         *
+         * @returns {*}
+         * @private
+         */
+        var _getAudioConstraints = function () {
+            var constraints = {},
+                hasConstraints = false,
+                settings = ['echoCancellation', 'noiseSuppression', 'autoGainControl'];
+
+            if (_cfg.deviceId) {
+                constraints.deviceId = {exact: _cfg.deviceId};
+                hasConstraints = true;
+            }
+
+            if (_cfg.channels > 1) {
+                constraints.channelCount = {ideal: _cfg.channels};
+                hasConstraints = true;
+            }
+
+            for (var i = 0; i < settings.length; i++) {
+                if (_cfg[settings[i]] !== null) {
+                    constraints[settings[i]] = _cfg[settings[i]];
+                    hasConstraints = true;
+                }
+            }
+
+            return hasConstraints ? constraints : true;
+        };
+
+
+        /**
+         * Checks if the microphone used is still available when the connected media devices change.
+         *
+         * @private
+         */
+        var _onDeviceChange = function () {
+            var track = _inputStream && _inputStream.getAudioTracks ? _inputStream.getAudioTracks()[0] : null;
+
+            if (!track || _inputDeviceLost) {
+                return;
+            }
+
+            if (track.readyState === 'ended') {
+                _inputDeviceIsLost();
+                return;
+            }
+
+            var deviceId = track.getSettings ? track.getSettings().deviceId : null;
+
+            if (deviceId) {
+                enumerateInputDevices().then(function (devices) {
+                    for (var i = 0; i < devices.length; i++) {
+                        if (devices[i].deviceId === deviceId) {
+                            return;
+                        }
+                    }
+
+                    _inputDeviceIsLost();
+                }, function (error) {
+                    _showConsoleLog("_onDeviceChange - Failed to enumerate input devices: " + error);
+                });
+            }
+        };
+
+
+        /**
+         *
+         * @private
+         */
+        var _inputDeviceIsLost = function () {
+            if (_getUserMediaRunning && !_inputDeviceLost) {
+                _inputDeviceLost = true;
+                _callSpeechStatusCB(STATUS.INPUT_DEVICE_LOST);
+            }
+        };
+
+
+        /**
+         * Analyzes the MediaStream audio on the main thread using a ScriptProcessorNode.
+         *
+         * @private
+         */
+        var _startScriptProcessor = function () {
+            _streamSourceProcessor = _audioContext.createScriptProcessor(_cfg.bufferSize, _cfg.channels, 1);
+
+            _streamSourceProcessor.onaudioprocess = function (audioProcessingEvent) {
+                if (_getUserMediaRunning && !_paused) {
+                    try {
+                        var inputBuffer = audioProcessingEvent.inputBuffer,
+                            channelData = [];
+
+                        _audioInputEvents++;
+
+                        if (_cfg.channels === 1) {
+                            // Copy the data, since the input buffer may be reused
+                            _enqueueAudioData(new Float32Array(inputBuffer.getChannelData(0)));
+                        }
+                        else {
+                            for (var c = 0; c < _cfg.channels; c++) {
+                                channelData.push(inputBuffer.getChannelData(Math.min(c, inputBuffer.numberOfChannels - 1)));
+                            }
+                            _enqueueAudioData(_interleave(channelData));
+                        }
+                    }
+                    catch (e) {
+                        _captureStopped();
+                        _callErrorCB("_startMediaStreamSource.onaudioprocess exception: " + e, {
+                            code: ERROR_CODE.CAPTURE_FAILED,
+                            status: STATUS.CAPTURE_ERROR,
+                            source: 'onaudioprocess',
+                            recoverable: false,
+                            cause: e
+                        });
+                    }
+                }
+            };
+
+            _mediaStream.connect(_streamSourceProcessor);
+            _streamSourceProcessor.connect(_audioContext.destination);
+
+            _captureStarted();
+        };
+
+
+        /**
+         * Analyzes the MediaStream audio off the main thread using an AudioWorkletNode. Falls back to the
+         * ScriptProcessorNode if the AudioWorklet can't be loaded.
+         *
+         * @private
+         */
+        var _startAudioWorklet = function () {
+            var startDeferred = _startDeferred;
+
+            _loadAudioWorkletModule(_audioContext).then(function () {
+                // Was capture stopped while loading?
+                if (_startCancelled(startDeferred)) {
+                    return;
+                }
+
+                try {
+                    _audioWorkletNode = new AudioWorkletNode(_audioContext, AUDIO_WORKLET_PROCESSOR_NAME, {
+                        numberOfInputs: 1,
+                        numberOfOutputs: 1,
+                        outputChannelCount: [1],
+                        channelCount: _cfg.channels,
+                        channelCountMode: 'explicit',
+                        processorOptions: {
+                            bufferSize: _cfg.bufferSize,
+                            channels: _cfg.channels,
+                            analysisBufferSize: _analysisBufferSize,
+                            noOfAnalysisBuffers: _noOfAnalysisBuffersPerIteration,
+                            spectral: _cfg.vadMode === VAD_MODE.SPECTRAL
+                        }
+                    });
+
+                    _audioWorkletNode.port.onmessage = function (evt) {
+                        if (_getUserMediaRunning && !_paused) {
+                            _audioInputEvents++;
+                            _enqueueAudioData(evt.data.samples, evt.data.analysis);
+                        }
+                    };
+
+                    _mediaStream.connect(_audioWorkletNode);
+                    _audioWorkletNode.connect(_audioContext.destination);
+
+                    _captureStarted();
+                }
+                catch (e) {
+                    _audioWorkletNode = null;
+                    _fallBackToScriptProcessor("_startAudioWorklet exception: " + e);
+                }
+            }, function (error) {
+                if (!_startCancelled(startDeferred)) {
+                    _fallBackToScriptProcessor("_startAudioWorklet failed to load the module: " + error);
+                }
+            });
+        };
+
+
+        /**
+         *
+         * @param reason
+         * @private
+         */
+        var _fallBackToScriptProcessor = function (reason) {
+            _showConsoleLog(reason + ", using ScriptProcessor instead.");
+
+            try {
+                _startScriptProcessor();
+            }
+            catch (e) {
+                _captureStartFailed("Failed to start the MediaStream capture: " + e, '_fallBackToScriptProcessor', e);
+                _captureStopped();
+            }
+        };
+
+
+        /**
+         *
+         * @returns {boolean}
+         * @private
+         */
+        var _isAudioWorkletSupported = function () {
+            return !!(_audioContext && _audioContext.audioWorklet && window.AudioWorkletNode &&
+            typeof Promise !== "undefined" && window.Blob && window.URL && URL.createObjectURL);
+        };
+
+
+        /**
+         *
+         * @private
+         */
+        var _captureStopped = function () {
+            if (_getUserMediaMode) {
+                _getUserMediaRunning = false;
+
+                if (navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+                    navigator.mediaDevices.removeEventListener('devicechange', _onDeviceChange, false);
+                }
+
+                if (_streamSourceProcessor) {
+                    _streamSourceProcessor.onaudioprocess = null;
+                }
+                if (_audioWorkletNode) {
+                    _audioWorkletNode.port.onmessage = null;
+                    _audioWorkletNode.port.postMessage('stop');
+                }
+                _releaseMediaStream();
+                _callSpeechStatusCB(STATUS.CAPTURE_STOPPED);
+            }
+
+            _paused = false;
+        };
+
+
+        /**
+         * Disconnects the audio graph and stops the tracks of the MediaStream, which releases the microphone.
+         *
+         * @private
+         */
+        var _releaseMediaStream = function () {
+            try {
+                if (_streamSourceProcessor) {
+                    _streamSourceProcessor.disconnect();
+                }
+
+                if (_audioWorkletNode) {
+                    _audioWorkletNode.disconnect();
+                }
+
+                if (_mediaStream) {
+                    _mediaStream.disconnect();
+                }
+
+                _stopTracks(_inputStream);
+            }
+            catch (e) {
+                _showConsoleLog("_releaseMediaStream exception: " + e);
+            }
+
+            _streamSourceProcessor = null;
+            _audioWorkletNode = null;
+            _mediaStream = null;
+            _inputStream = null;
+        };
+
+
+        /**
+         * Stops the tracks of a MediaStream from getUserMedia.
+         *
+         * @param stream
+         * @private
+         */
+        var _stopTracks = function (stream) {
+            if (stream && stream.getTracks) {
+                var tracks = stream.getTracks();
+
+                for (var i = 0; i < tracks.length; i++) {
+                    tracks[i].stop();
+                }
+            }
+        };
+
+
+        /**
+         * Checks if the capture has been stopped, or stopped and started again, while it was being started.
+         *
+         * @param startDeferred - The _startDeferred of the start in progress
+         * @returns {boolean}
+         * @private
+         */
+        var _startCancelled = function (startDeferred) {
+            return !_getUserMediaMode || _startDeferred !== startDeferred;
+        };
+
+
+        /**
+         * Closes the audioContext created by this library, unless capture has been started again.
+         *
+         * @private
+         */
+        var _closeAudioContext = function () {
+            if (_getUserMediaMode || _audioInputPluginMode || !_audioContext || !_audioContextCreated) {
+                return;
+            }
+
+            var audioContext = _audioContext;
+            _audioContext = null;
+            _audioContextCreated = false;
+            _forgetAudioWorkletModule(audioContext);
+
+            try {
+                if (audioContext.close) {
+                    audioContext.close();
+                }
+            }
+            catch (e) {
+                _showConsoleLog("_closeAudioContext exception: " + e);
+            }
+        };
+
+
+        /**
+         *
+         * @private
+         */
+        var _captureStarted = function () {
+            _captureStartTime = Date.now();
+
+            if (_getUserMediaMode) {
+                _getUserMediaRunning = true;
+                _inputDeviceLost = false;
+
+                if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+                    navigator.mediaDevices.addEventListener('devicechange', _onDeviceChange, false);
+                }
+            }
+
+            _callSpeechStatusCB(STATUS.CAPTURE_STARTED);
+
+            if (_startDeferred) {
+                _startDeferred.resolve();
+                _startDeferred = null;
+            }
+        };
+
+
+        /**
+         * Reports a getUserMedia failure and rejects the promise returned by start.
+         *
+         * @param message
+         * @param source - The name of the function that failed
+         * @param cause - The original error
+         * @private
+         */
+        var _captureStartFailed = function (message, source, cause) {
+            var error = new SpeechCaptureError(message, ERROR_CODE.GET_USER_MEDIA_FAILED, {
+                status: STATUS.CAPTURE_ERROR,
+                source: source,
+                cause: cause
+            });
+
+            _callErrorCB(error);
+
+            if (_startDeferred) {
+                _startDeferred.reject(error);
+                _startDeferred = null;
+            }
+        };
+
+
+        /**
+         *
+         * @returns {*}
+         * @private
+         */
+        var _captureRunning = function () {
+            if (_getUserMediaMode) {
+                return _getUserMediaRunning;
+            }
+            else { //noinspection JSUnresolvedVariable
+                if (_audioInputPluginMode && window.audioinput) {
+                    //noinspection JSUnresolvedVariable
+                    return audioinput.isCapturing();
+                }
+                else {
+                    return false;
+                }
+            }
+        };
+
+
+        /**
+         *
+         * @param message
+         */
+        var _showAlert = function (message) {
+            if (_cfg.debugAlerts && message) {
+                alert(message);
+            }
+        };
+
+
+        /**
+         *
+         * @param message
+         */
+        var _showConsoleLog = function (message) {
+            if (_cfg.debugConsole && message) {
+                console.log(message);
+            }
+        };
+
+
+        // Maps the status codes to the corresponding events
+        //
+        var _statusEvents = {};
+        _statusEvents[STATUS.SPEECH_STARTED] = EVENT.SPEECH_START;
+        _statusEvents[STATUS.SPEECH_STOPPED] = EVENT.SPEECH_STOP;
+        _statusEvents[STATUS.SPEECH_MAX_LENGTH] = EVENT.MAX_LENGTH;
+        _statusEvents[STATUS.SPEECH_MIN_LENGTH] = EVENT.MIN_LENGTH;
+        _statusEvents[STATUS.CAPTURE_STARTED] = EVENT.CAPTURE_START;
+        _statusEvents[STATUS.CAPTURE_STOPPED] = EVENT.CAPTURE_STOP;
+        _statusEvents[STATUS.CALIBRATION_COMPLETE] = EVENT.CALIBRATION_COMPLETE;
+        _statusEvents[STATUS.QUEUE_OVERFLOW] = EVENT.QUEUE_OVERFLOW;
+        _statusEvents[STATUS.INPUT_DEVICE_LOST] = EVENT.INPUT_DEVICE_LOST;
+        _statusEvents[STATUS.CAPTURE_PAUSED] = EVENT.CAPTURE_PAUSE;
+        _statusEvents[STATUS.CAPTURE_RESUMED] = EVENT.CAPTURE_RESUME;
+
+        var detector = {
+            start: start,
+            stop: stop,
+            analyze: analyze,
+            pause: pause,
+            resume: resume,
+            isCapturing: isCapturing,
+            isPaused: isPaused,
+            getCurrentVolume: getCurrentVolume,
+            getAmbientLevel: getAmbientLevel,
+            isSpeakingRightNow: isSpeakingRightNow,
+            getCfg: getCfg,
+            updateCfg: updateCfg,
+            getMonitoringData: getMonitoringData,
+            getAudioContext: getAudioContext,
+            getLastErrorCode: getLastErrorCode,
+            addEventListener: addEventListener,
+            removeEventListener: removeEventListener,
+
+            onAudioInputCapture: onAudioInputCapture,
+            onAudioInputError: onAudioInputError
+        };
+
+        return detector;
+    };
+
+
+    /**
+     * Returns a callback style getUserMedia function, preferring navigator.mediaDevices.getUserMedia over the legacy
+     * navigator.getUserMedia, or null if getUserMedia isn't supported on this platform.
+     *
+     * @returns {Function}
+     * @private
+     */
+    var _resolveGetUserMedia = function () {
+        //noinspection JSUnresolvedVariable
+        if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
+            return function (constraints, successCB, errorCB) {
+                navigator.mediaDevices.getUserMedia(constraints).then(successCB, errorCB);
+            };
+        }
+
+        //noinspection JSUnresolvedVariable
+        var legacyGetUserMedia = navigator.getUserMedia || navigator.webkitGetUserMedia ||
+            navigator.mozGetUserMedia || navigator.msGetUserMedia;
+
+        return legacyGetUserMedia ? legacyGetUserMedia.bind(navigator) : null;
+    };
+
+
+    /**
+     * Lists the available audio input devices, the deviceId of which can be used as the deviceId parameter of start.
+     * Note that the labels of the devices are empty until the user has granted permission to use the microphone.
+     *
+     * @returns {Promise} Resolved with an array of {deviceId, groupId, label} objects
+     */
+    var enumerateInputDevices = function () {
+        var deferred = _createDeferred();
+
+        //noinspection JSUnresolvedVariable
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            deferred.reject(new SpeechCaptureError("Enumerating media devices is not supported on this platform.",
+                ERROR_CODE.GET_USER_MEDIA_FAILED));
+        }
+        else {
+            navigator.mediaDevices.enumerateDevices().then(function (devices) {
+                var inputDevices = [];
+
+                for (var i = 0; i < devices.length; i++) {
+                    if (devices[i].kind === 'audioinput') {
+                        inputDevices.push({
+                            deviceId: devices[i].deviceId,
+                            groupId: devices[i].groupId,
+                            label: devices[i].label
+                        });
+                    }
+                }
+
+                deferred.resolve(inputDevices);
+            }, function (error) {
+                deferred.reject(new SpeechCaptureError("Failed to enumerate media devices: " + error,
+                    ERROR_CODE.GET_USER_MEDIA_FAILED));
+            });
+        }
+
+        return deferred.promise;
+    };
+
+
+    /**
+     * Returns true if captured speech can be delivered as the given audioResultType on this platform, i.e. false for
+     * WEBAUDIO_AUDIOBUFFER without Web Audio support and OGG_OPUS_BLOB without WebCodecs support.
+     *
+     * @param audioResultType - One of the AUDIO_RESULT_TYPE values
+     * @returns {boolean}
+     */
+    var isAudioResultTypeSupported = function (audioResultType) {
+        switch (audioResultType) {
+            case AUDIO_RESULT_TYPE.WEBAUDIO_AUDIOBUFFER:
+                return typeof window !== "undefined" && !!(window.AudioContext || window.webkitAudioContext);
+            case AUDIO_RESULT_TYPE.OGG_OPUS_BLOB:
+                return audioEncoder.isOpusSupported();
+            default:
+                return true;
+        }
+    };
+
+
+    /**
+     * Interleaves the audio of the channels.
+     *
+     * @param channelData - Array with the Float32Array of each channel
+     * @returns {Float32Array}
+     * @private
+     */
+    var _interleave = function (channelData) {
+        var channels = channelData.length,
+            frames = channelData[0].length,
+            result = new Float32Array(frames * channels);
+
+        for (var i = 0; i < frames; i++) {
+            for (var c = 0; c < channels; c++) {
+                result[i * channels + c] = channelData[c][i];
+            }
+        }
+
+        return result;
+    };
+
+
+    /**
+     * Returns the audio of a single channel of interleaved audio.
+     *
+     * @param samples - The interleaved audio
+     * @param channel - The channel to extract
+     * @param channels - The number of channels
+     * @returns {Float32Array}
+     * @private
+     */
+    var _extractChannel = function (samples, channel, channels) {
+        var frames = Math.floor(samples.length / channels),
+            result = new Float32Array(frames);
+
+        for (var i = 0; i < frames; i++) {
+            result[i] = samples[i * channels + channel];
+        }
+
+        return result;
+    };
+
+
+    /**
+     * Returns the average of all channels of interleaved audio.
+     *
+     * @param samples - The interleaved audio
+     * @param channels - The number of channels
+     * @returns {Float32Array}
+     * @private
+     */
+    var _mixdown = function (samples, channels) {
+        var frames = Math.floor(samples.length / channels),
+            result = new Float32Array(frames);
+
+        for (var i = 0; i < frames; i++) {
+            var total = 0;
+
+            for (var c = 0; c < channels; c++) {
+                total += samples[i * channels + c];
+            }
+
+            result[i] = total / channels;
+        }
+
+        return result;
+    };
+
+
+    var AUDIO_WORKLET_PROCESSOR_NAME = 'speechcapture-processor',
+        _audioWorkletModules = [];
+
+
+    /**
+     * Adds the AudioWorklet module to the audioContext, unless already added.
+     *
+     * @param audioContext
+     * @returns {Promise}
+     * @private
+     */
+    var _loadAudioWorkletModule = function (audioContext) {
+        for (var i = 0; i < _audioWorkletModules.length; i++) {
+            if (_audioWorkletModules[i].audioContext === audioContext) {
+                return _audioWorkletModules[i].promise;
+            }
+        }
+
+        var source = '(' + _audioWorkletScope.toString() + ')(' + createSpectralAnalyzer.toString() + ', "' +
+                AUDIO_WORKLET_PROCESSOR_NAME + '");',
+            url = URL.createObjectURL(new Blob([source], {type: 'application/javascript'})),
+            promise = audioContext.audioWorklet.addModule(url);
+
+        _audioWorkletModules.push({
+            audioContext: audioContext,
+            promise: promise
+        });
+
+        return promise;
+    };
+
+
+    /**
+     * Removes the AudioWorklet module of a closed audioContext from the cache.
+     *
+     * @param audioContext
+     * @private
+     */
+    var _forgetAudioWorkletModule = function (audioContext) {
+        for (var i = 0; i < _audioWorkletModules.length; i++) {
+            if (_audioWorkletModules[i].audioContext === audioContext) {
+                _audioWorkletModules.splice(i, 1);
+                return;
+            }
+        }
+    };
+
+
+    /**
+     * The code of the AudioWorklet module, which is run in the AudioWorkletGlobalScope and therefore must be
+     * self-contained. Collects the audio into buffers of bufferSize, calculates the level (and speech probability if
+     * spectral) of each analysis chunk, and posts both to the main thread.
+     *
+     * @param createSpectralAnalyzer
+     * @param processorName
+     * @private
+     */
+    var _audioWorkletScope = function (createSpectralAnalyzer, processorName) {
+        var spectralAnalyzer = createSpectralAnalyzer();
+
+        var SpeechCaptureProcessor = function (options) {
+            var self = Reflect.construct(AudioWorkletProcessor, [options], SpeechCaptureProcessor),
+                opts = options.processorOptions;
+
+            self.bufferSize = opts.bufferSize * opts.channels;
+            self.channels = opts.channels;
+            self.analysisBufferSize = opts.analysisBufferSize;
+            self.noOfAnalysisBuffers = opts.noOfAnalysisBuffers;
+            self.spectral = opts.spectral;
+            self.buffer = new Float32Array(self.bufferSize);
+            self.bufferIdx = 0;
+            self.running = true;
+
+            self.port.onmessage = function (evt) {
+                if (evt.data === 'stop') {
+                    self.running = false;
+                }
+                else if (evt.data && evt.data.analysisBufferSize) {
+                    self.analysisBufferSize = evt.data.analysisBufferSize;
+                    self.noOfAnalysisBuffers = evt.data.noOfAnalysisBuffers;
+                }
+            };
+
+            return self;
+        };
+
+        SpeechCaptureProcessor.prototype = Object.create(AudioWorkletProcessor.prototype);
+        SpeechCaptureProcessor.prototype.constructor = SpeechCaptureProcessor;
+        Object.setPrototypeOf(SpeechCaptureProcessor, AudioWorkletProcessor);
+
+        SpeechCaptureProcessor.prototype.process = function (inputs) {
+            var input = inputs[0];
+
+            if (input && input.length > 0) {
+                // Multi-channel audio is interleaved
+                for (var i = 0; i < input[0].length; i++) {
+                    for (var c = 0; c < this.channels; c++) {
+                        this.buffer[this.bufferIdx++] = input[Math.min(c, input.length - 1)][i];
+                    }
+
+                    if (this.bufferIdx === this.bufferSize) {
+                        this.flush();
+                    }
+                }
+            }
+
+            return this.running;
+        };
+
+        SpeechCaptureProcessor.prototype.flush = function () {
+            var samples = this.buffer,
+                analysis = null;
+
+            // Multi-channel audio is analyzed on the main thread, according to the channel policy
+            if (this.channels === 1) {
+                analysis = this.analyze(samples);
+            }
+
+            this.port.postMessage({samples: samples, analysis: analysis}, [samples.buffer]);
+
+            this.buffer = new Float32Array(this.bufferSize);
+            this.bufferIdx = 0;
+        };
+
+        SpeechCaptureProcessor.prototype.analyze = function (samples) {
+            var analysis = [];
+
+            for (var i = 0; i < this.noOfAnalysisBuffers; i++) {
+                var startIdx = i * this.analysisBufferSize,
+                    endIdx = Math.min(startIdx + this.analysisBufferSize, samples.length),
+                    chunk = samples.subarray(startIdx, endIdx),
+                    total = 0;
+
+                for (var j = 0; j < chunk.length; j++) {
+                    total += chunk[j] * chunk[j];
+                }
+
+                analysis.push({
+                    level: 20 * (Math.log(Math.sqrt(total / chunk.length)) / Math.log(10)),
+                    probability: this.spectral ? spectralAnalyzer.getSpeechProbability(chunk, sampleRate) : null
+                });
+            }
+
+            return analysis;
+        };
+
+        registerProcessor(processorName, SpeechCaptureProcessor);
+    };
+
+
+    var _encoderWorker = null,
+        _encoderWorkerFailed = false,
+        _encoderJobs = {},
+        _encoderJobId = 0;
+
+
+    /**
+     * Runs the encoding job in the encoder Web Worker, or synchronously on the main thread if useWorker is false or
+     * workers aren't supported. The samples of the job are transferred to the worker and can't be used afterwards.
+     *
+     * @param job - See _runEncodingJob
+     * @param {boolean} useWorker
+     * @param onComplete - function (result), where the result is a Blob, or a Float32Array if the format is 'raw'
+     * @param onError - function (message)
+     * @private
+     */
+    var _encodeAudio = function (job, useWorker, onComplete, onError) {
+        var worker = useWorker ? _getEncoderWorker() : null;
+
+        if (!worker) {
+            _runEncodingJob(job, {
+                audioEncoder: audioEncoder,
+                reSampler: ReSampler,
+                wavEncoder: wavEncoder
+            }, onComplete, onError);
+            return;
+        }
+
+        // Only a whole buffer can be transferred
+        if (job.samples.byteLength !== job.samples.buffer.byteLength) {
+            job.samples = job.samples.slice(0);
+        }
+
+        job.id = ++_encoderJobId;
+        _encoderJobs[job.id] = {
+            onComplete: onComplete,
+            onError: onError
+        };
+
+        worker.postMessage(job, [job.samples.buffer]);
+    };
+
+
+    /**
+     * Resamples and encodes the audio according to the job. Must be self-contained, since it is also run in the
+     * encoder Web Worker.
+     *
+     * @param job - {format: 'wav'|'flac'|'opus'|'raw', samples: Float32Array, inputSampleRate, sampleRate, channels,
+     * quality, wavFormat, wavMetadata, bitrate}
+     * @param encoders - {audioEncoder, reSampler, wavEncoder}
+     * @param onComplete - function (result), where the result is a Blob, or a Float32Array if the format is 'raw'
+     * @param onError - function (message)
+     * @private
+     */
+    var _runEncodingJob = function (job, encoders, onComplete, onError) {
+        try {
+            if (job.inputSampleRate && job.inputSampleRate !== job.sampleRate) {
+                job.samples = encoders.reSampler.resample(job.samples, job.inputSampleRate, job.sampleRate, job.channels,
+                    job.quality);
+                job.inputSampleRate = job.sampleRate;
+            }
+
+            if (job.format === 'raw') {
+                onComplete(job.samples);
+            }
+            else if (job.format === 'wav') {
+                onComplete(new Blob([encoders.wavEncoder.encode(job.samples, job.sampleRate, job.channels, job.wavFormat,
+                    job.wavMetadata)], {type: 'audio/wav'}));
+            }
+            else {
+                encoders.audioEncoder.encode(job, function (data, mimeType) {
+                    onComplete(new Blob([data], {type: mimeType}));
+                }, onError);
+            }
+        }
+        catch (e) {
+            onError("Encoding exception: " + e);
+        }
+    };
+
+
+    /**
+     * Returns the encoder Web Worker, which is created when first needed. Returns null if workers aren't supported.
+     *
+     * @returns {*}
+     * @private
+     */
+    var _getEncoderWorker = function () {
+        if (_encoderWorker || _encoderWorkerFailed) {
+            return _encoderWorker;
+        }
+
+        try {
+            if (typeof Worker === "undefined" || typeof URL === "undefined" || !URL.createObjectURL) {
+                _encoderWorkerFailed = true;
+                return null;
+            }
+
+            var source = '(' + _encoderWorkerScope.toString() + ')(' + _runEncodingJob.toString() + ', ' +
+                createAudioEncoder.toString() + ', ' + createReSampler.toString() + ', ' + createWavEncoder.toString() + ');';
+
+            _encoderWorker = new Worker(URL.createObjectURL(new Blob([source], {type: 'application/javascript'})));
+
+            _encoderWorker.onmessage = function (evt) {
+                var result = evt.data,
+                    callbacks = _encoderJobs[result.id];
+
+                if (callbacks) {
+                    delete _encoderJobs[result.id];
+
+                    if (result.error) {
+                        callbacks.onError(result.error);
+                    }
+                    else {
+                        callbacks.onComplete(result.result);
+                    }
+                }
+            };
+
+            // The worker is unusable, e.g. due to a Content Security Policy. Fail the pending jobs and encode any
+            // following ones on the main thread.
+            _encoderWorker.onerror = function (evt) {
+                var jobs = _encoderJobs;
+
+                _encoderWorker.terminate();
+                _encoderWorker = null;
+                _encoderWorkerFailed = true;
+                _encoderJobs = {};
+
+                for (var id in jobs) {
+                    if (jobs.hasOwnProperty(id)) {
+                        jobs[id].onError("Encoder worker error: " + (evt && evt.message ? evt.message : evt));
+                    }
+                }
+            };
+        }
+        catch (e) {
+            _encoderWorker = null;
+            _encoderWorkerFailed = true;
+        }
+
+        return _encoderWorker;
+    };
+
+
+    /**
+     * The code of the encoder Web Worker, which must be self-contained. Runs each job posted to it and posts the
+     * result, or the error, back with the id of the job.
+     *
+     * @param runEncodingJob
+     * @param createAudioEncoder
+     * @param createReSampler
+     * @param createWavEncoder
+     * @private
+     */
+    var _encoderWorkerScope = function (runEncodingJob, createAudioEncoder, createReSampler, createWavEncoder) {
+        var encoders = {
+            audioEncoder: createAudioEncoder(),
+            reSampler: createReSampler(),
+            wavEncoder: createWavEncoder()
+        };
+
+        self.onmessage = function (evt) {
+            var job = evt.data;
+
+            runEncodingJob(job, encoders, function (result) {
+                // Blobs are passed by reference, while raw samples are transferred
+                self.postMessage({id: job.id, result: result}, result instanceof Float32Array ? [result.buffer] : []);
+            }, function (error) {
+                self.postMessage({id: job.id, error: String(error)});
+            });
+        };
+    };
+
+
+    /**
+     * The error thrown by the API, used to reject the promises returned by it and given to the errorCB.
+     *
+     * @param message - The error message
+     * @param code - One of the ERROR_CODE values
+     * @param details - (Optional) {status, source, recoverable, cause}: The STATUS reported because of the error, the
+     * name of the function where it occurred, true if the capture continues despite of it, and the original error
+     * @constructor
+     */
+    var SpeechCaptureError = function (message, code, details) {
+        details = details || {};
+
+        this.name = 'SpeechCaptureError';
+        this.message = message;
+        this.code = code;
+        this.status = details.status || null;
+        this.source = details.source || null;
+        this.recoverable = !!details.recoverable;
+        this.cause = details.cause !== undefined ? details.cause : null;
+        this.stack = (new Error(message)).stack;
+    };
+
+    SpeechCaptureError.prototype = Object.create(Error.prototype);
+    SpeechCaptureError.prototype.constructor = SpeechCaptureError;
+
+
+    /**
+     * The error thrown when a parameter is missing or invalid.
+     *
+     * @param message - The error message
+     * @param parameter - The name of the parameter
+     * @param code - (Optional) ERROR_CODE.INVALID_PARAMETER (default) or ERROR_CODE.MISSING_PARAMETER
+     * @constructor
+     */
+    var ParameterError = function (message, parameter, code) {
+        SpeechCaptureError.call(this, message, code || ERROR_CODE.INVALID_PARAMETER);
+
+        this.name = 'ParameterError';
+        this.parameter = parameter;
+    };
+
+    ParameterError.prototype = Object.create(SpeechCaptureError.prototype);
+    ParameterError.prototype.constructor = ParameterError;
+
+
+    /**
+     * Creates a promise together with its resolve and reject functions. If the platform doesn't support promises, the
+     * promise will be undefined and resolve/reject does nothing.
+     *
+     * @returns {{promise: *, resolve: Function, reject: Function}}
+     * @private
+     */
+    var _createDeferred = function () {
+        var deferred = {
+            promise: undefined,
+            resolve: function () {
+            },
+            reject: function () {
+            }
+        };
+
+        if (typeof Promise !== "undefined") {
+            deferred.promise = new Promise(function (resolve, reject) {
+                deferred.resolve = resolve;
+                deferred.reject = reject;
+            });
+
+            // Callers using only the callbacks should not get unhandled rejection warnings
+            deferred.promise.catch(function () {
+            });
+        }
+
+        return deferred;
+    };
+
+
+    /**
+     * Validates a configuration parameter against its rule in CFG_SCHEMA.
+     *
+     * @param key - The name of the parameter
+     * @param value - Its value, which must not be undefined or null
+     * @returns {ParameterError} The error if the value is invalid, otherwise null
+     * @private
+     */
+    var _validateCfgValue = function (key, value) {
+        var rule = CFG_SCHEMA[key],
+            invalid = function (requirement) {
+                return new ParameterError("Parameter '" + key + "' must be " + requirement, key);
+            };
+
+        if (rule.values) {
+            var allowed = [],
+                valueKey;
+
+            for (valueKey in rule.values) {
+                if (rule.values.hasOwnProperty(valueKey)) {
+                    allowed.push(rule.values[valueKey]);
+                }
+            }
+
+            if (allowed.indexOf(value) < 0) {
+                var quoted = allowed.map(function (allowedValue) {
+                    return typeof allowedValue === "string" ? "'" + allowedValue + "'" : String(allowedValue);
+                });
+
+                return invalid("one of " + quoted.slice(0, -1).join(", ") + " or " + quoted[quoted.length - 1] + ".");
+            }
+
+            return null;
+        }
+
+        switch (rule.type) {
+            case 'number':
+                var description = rule.integer ? "an integer" : "a number";
+
+                if (rule.min !== undefined && rule.max !== undefined) {
+                    description += " between " + rule.min + " and " + rule.max;
+                }
+                else if (rule.min !== undefined) {
+                    description += " >= " + rule.min;
+                }
+                else if (rule.above !== undefined) {
+                    description += " > " + rule.above;
+                }
+                else if (rule.below !== undefined) {
+                    description += " < " + rule.below;
+                }
+
+                if (typeof value !== "number" || !isFinite(value) || (rule.integer && value % 1 !== 0) ||
+                    (rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max) ||
+                    (rule.above !== undefined && !(value > rule.above)) ||
+                    (rule.below !== undefined && !(value < rule.below))) {
+                    return invalid(description + ".");
+                }
+                break;
+
+            case 'array':
+                if (!(value instanceof Array)) {
+                    return invalid("an array" + (rule.items ? " of " + rule.items + "s." : "."));
+                }
+
+                for (var i = 0; i < value.length; i++) {
+                    if (rule.items && typeof value[i] !== rule.items) {
+                        return invalid("an array of " + rule.items + "s.");
+                    }
+                }
+                break;
+
+            case 'function':
+                if (typeof value !== "function") {
+                    return invalid("of type function.");
+                }
+                break;
+
+            default:
+                if (typeof value !== rule.type) {
+                    return invalid(rule.type === 'object' ? "an object." : "a " + rule.type + ".");
+                }
+                break;
+        }
+
+        return null;
+    };
+
+
+    /**
+     * Validates the parameters that depend on each other.
+     *
+     * @param cfg - The complete configuration
+     * @param explicitCfg - The parameters specified by the user, as opposed to the defaults
+     * @returns {ParameterError} The error if the configuration is invalid, otherwise null
+     * @private
+     */
+    var _validateCfgRelations = function (cfg, explicitCfg) {
+        if (cfg.detectionChannel >= cfg.channels) {
+            return new ParameterError("Parameter 'detectionChannel' must be less than 'channels'.", 'detectionChannel');
+        }
+
+        if (cfg.audioResultType === AUDIO_RESULT_TYPE.OGG_OPUS_BLOB && cfg.channels > 2) {
+            return new ParameterError("Parameter 'channels' must not be greater than 2 when 'audioResultType' is " +
+                "OGG_OPUS_BLOB.", 'channels');
+        }
+
+        if (cfg.speechStopThreshold > cfg.speechStartThreshold) {
+            return new ParameterError("Parameter 'speechStopThreshold' must not be greater than 'speechStartThreshold'.",
+                'speechStopThreshold');
+        }
+
+        if (cfg.speechDetectionMinimum > cfg.speechDetectionMaximum) {
+            return new ParameterError("Parameter 'speechDetectionMinimum' must not be greater than " +
+                "'speechDetectionMaximum'.", 'speechDetectionMinimum');
+        }
+
+        if (cfg.ambientLevelWindow && cfg.ambientLevelHalfLife) {
+            return new ParameterError("Parameters 'ambientLevelWindow' and 'ambientLevelHalfLife' can't be used " +
+                "together.", 'ambientLevelHalfLife');
+        }
+
+        if (cfg.vadMode === VAD_MODE.CUSTOM && !cfg.vadFunction) {
+            return new ParameterError("Parameter 'vadFunction' is mandatory when 'vadMode' is 'custom'.", 'vadFunction',
+                ERROR_CODE.MISSING_PARAMETER);
+        }
+
+        return _validateAnalysisChunkLength(cfg, explicitCfg);
+    };
+
+
+    /**
+     * Validates the analysisChunkLength against the length of the buffer, which depends on the inputSampleRate. Since
+     * getUserMedia and analyze replace the inputSampleRate of the cfg with the real one, it's validated again then.
+     *
+     * @param cfg - The complete configuration
+     * @param explicitCfg - The parameters specified by the user, as opposed to the defaults
+     * @returns {ParameterError} The error if the analysisChunkLength is too long, otherwise null
+     * @private
+     */
+    var _validateAnalysisChunkLength = function (cfg, explicitCfg) {
+        // By default, the analysis chunks are simply as long as the buffer if it's shorter
+        if (explicitCfg.analysisChunkLength !== undefined && explicitCfg.analysisChunkLength !== null &&
+            cfg.analysisChunkLength > cfg.bufferSize / cfg.inputSampleRate * 1000) {
+            return new ParameterError("Parameter 'analysisChunkLength' must not be longer than the buffer (" +
+                Math.floor(cfg.bufferSize / cfg.inputSampleRate * 1000) + " mS, 'bufferSize' / 'inputSampleRate').",
+                'analysisChunkLength');
+        }
+
+        return null;
+    };
+
+
+    /**
+     * Returns a new object with the properties of cfg, where any property not set in cfg is taken from baseCfg.
+     *
+     * @param baseCfg
+     * @param cfg
+     * @returns {{}}
+     * @private
+     */
+    var _mergeCfg = function (baseCfg, cfg) {
+        var merged = {},
+            key;
+
+        for (key in baseCfg) {
+            if (baseCfg.hasOwnProperty(key)) {
+                merged[key] = baseCfg[key];
+            }
+        }
+
+        if (cfg) {
+            for (key in cfg) {
+                if (cfg.hasOwnProperty(key)) {
+                    merged[key] = cfg[key];
+                }
+            }
+        }
+
+        return merged;
+    };
+
+
+    // The default detector, used by the global speechcapture API
+    //
+    var _defaultDetector = create();
+
+
+    /**
+     * Analyzes recorded audio using a detector of its own, so that it can be used while capturing.
+     *
+     * @param source - A WAV Blob or ArrayBuffer, an AudioBuffer or a Float32Array
+     * @param cfg - (Optional) Configuration object, as for start
+     * @returns {Promise} Resolved with an array of the detected utterances
+     */
+    var analyze = function (source, cfg) {
+        return create().analyze(source, cfg);
+    };
+
+    return {
+        STATUS: STATUS,
+        AUDIO_RESULT_TYPE: AUDIO_RESULT_TYPE,
+        VAD_MODE: VAD_MODE,
+        MAX_LENGTH_STRATEGY: MAX_LENGTH_STRATEGY,
+        CHANNEL_POLICY: CHANNEL_POLICY,
+        NORMALIZATION: NORMALIZATION,
+        END_REASON: END_REASON,
+        RESAMPLER: RESAMPLER,
+        WAV_FORMAT: WAV_FORMAT,
+        ERROR_CODE: ERROR_CODE,
+        EVENT: EVENT,
+        DEFAULT: DEFAULT,
+
+        SpeechCaptureError: SpeechCaptureError,
+        ParameterError: ParameterError,
+
+        create: create,
+        enumerateInputDevices: enumerateInputDevices,
+        isAudioResultTypeSupported: isAudioResultTypeSupported,
+
+        analyze: analyze,
+
+        start: _defaultDetector.start,
+        stop: _defaultDetector.stop,
+        pause: _defaultDetector.pause,
+        resume: _defaultDetector.resume,
+        isCapturing: _defaultDetector.isCapturing,
+        isPaused: _defaultDetector.isPaused,
+        getCurrentVolume: _defaultDetector.getCurrentVolume,
+        getAmbientLevel: _defaultDetector.getAmbientLevel,
+        isSpeakingRightNow: _defaultDetector.isSpeakingRightNow,
+        getCfg: _defaultDetector.getCfg,
+        updateCfg: _defaultDetector.updateCfg,
+        getMonitoringData: _defaultDetector.getMonitoringData,
+        getAudioContext: _defaultDetector.getAudioContext,
+        getLastErrorCode: _defaultDetector.getLastErrorCode,
+        addEventListener: _defaultDetector.addEventListener,
+        removeEventListener: _defaultDetector.removeEventListener,
+
+        onAudioInputCapture: _defaultDetector.onAudioInputCapture,
+        onAudioInputError: _defaultDetector.onAudioInputError
+    };
+})
+();
+
+
+/******************************************************************************************************************
+ * Other functionality needed by the library
+ *****************************************************************************************************************/
+
+/*
+ Shim for Float32Array.prototype.slice
+ */
+if (!Float32Array.prototype.slice) {
+    /**
+     * If not supported: Adds slice to Float32Array
+     *
+     * @param begin - From which index to start
+     * @param end - To which index to end
+     * @returns {Float32Array} - The sliced part of the array
+     */
+    Float32Array.prototype.slice = function (begin, end) {
+        if (!end) {
+            end = this.length;
+        }
+        var target = new Float32Array(end - begin);
+        for (var i = 0; i < begin + end; ++i) {
+            target[i] = this[begin + i];
+        }
+        return target;
+    };
+}
+
+/*
+ Shim for Float32Array.prototype.concat
+ */
+if (!Float32Array.prototype.concat) {
+    /**
+     * If not supported: Adds concatenate to Float32Array
+     *
+     * @returns {Float32Array} - The resulting array
+     */
+    Float32Array.prototype.concat = function () {
+        //noinspection JSUnresolvedFunction
+        var bytesPerIndex = 4,
+            buffers = Array.prototype.slice.call(arguments);
+
+        // add self
+        buffers.unshift(this);
+
+        buffers = buffers.map(function (item) {
+            if (item instanceof Float32Array) {
+                return item.buffer;
+            }
+            else if (item instanceof ArrayBuffer) {
+                if (item.byteLength / bytesPerIndex % 1 !== 0) {
+                    throw new Error('One of the ArrayBuffers is not from a Float32Array');
+                }
+                return item;
+            }
+            else {
+                throw new Error('You can only concat Float32Array, or ArrayBuffers');
+            }
+        });
+
+        var concatenatedByteLength = buffers
+            .map(function (a) {
+                return a.byteLength;
+            })
+            .reduce(function (a, b) {
+                return a + b;
+            }, 0);
+
+        var concatenatedArray = new Float32Array(concatenatedByteLength / bytesPerIndex);
+
+        var offset = 0;
+        buffers.forEach(function (buffer) {
+            concatenatedArray.set(new Float32Array(buffer), offset);
+            offset += buffer.byteLength / bytesPerIndex;
+        });
+
+        return concatenatedArray;
+    };
+}
+
+/*
+ * Down or upsample an audiobuffer. Define your own ReSampler if you want to override this with something else.
+ * The encoder Web Worker creates its own instance using 'createReSampler'.
+ */
+var createReSampler = function () {
+    /**
+     *
+     * @param audioBuffer
+     * @param toSampleRate
+     * @param oncomplete
+     * @param onError
+     */
+    var resampleAudioBuffer = function (audioBuffer, toSampleRate, oncomplete, onError) {
+        var numCh = audioBuffer.numberOfChannels;
+        var numFrames = audioBuffer.length * toSampleRate / audioBuffer.sampleRate;
+        var offlineContext_ = new OfflineAudioContext(numCh, numFrames, toSampleRate);
+        var bufferSource_ = offlineContext_.createBufferSource();
+        bufferSource_.buffer = audioBuffer;
+
+        offlineContext_.oncomplete = function (event) {
+            try {
+                //noinspection JSUnresolvedVariable
+                var resampledBuffer = event.renderedBuffer;
+                if (oncomplete && typeof oncomplete === 'function') {
+                    oncomplete(resampledBuffer);
+                }
+            }
+            catch (e) {
+                if (onError && typeof onError === 'function') {
+                    onError("ReSampler.resampleAudioBuffer offlineContext_.oncomplete exception: " + e);
+                }
+            }
+        };
+
+        bufferSource_.connect(offlineContext_.destination);
+        bufferSource_.start(0);
+        offlineContext_.startRendering();
+    };
+
+    /**
+     * Resamples (interleaved) audio in JavaScript, without the need of the Web Audio API.
+     *
+     * @param {Float32Array} samples - The audio, interleaved if more than one channel
+     * @param {int} fromSampleRate - The sample rate of the audio
+     * @param {int} toSampleRate - The sample rate to resample to
+     * @param {int} channels - (Optional) The number of channels, defaults to 1
+     * @param {String} quality - (Optional) 'sinc' (windowed-sinc, default) or 'linear' (linear interpolation)
+     * @returns {Float32Array} The resampled audio, interleaved if more than one channel
+     */
+    var resample = function (samples, fromSampleRate, toSampleRate, channels, quality) {
+        var numChannels = channels || 1,
+            numFrames = Math.floor(samples.length / numChannels),
+            ratio = toSampleRate / fromSampleRate,
+            resampledFrames = Math.round(numFrames * ratio),
+            resampled = new Float32Array(resampledFrames * numChannels);
+
+        if (fromSampleRate === toSampleRate) {
+            resampled.set(samples.subarray ? samples.subarray(0, resampled.length) : samples.slice(0, resampled.length));
+            return resampled;
+        }
+
+        for (var c = 0; c < numChannels; c++) {
+            if (quality === 'linear') {
+                resampleLinear(samples, resampled, c, numChannels, numFrames, resampledFrames, ratio);
+            }
+            else {
+                resampleSinc(samples, resampled, c, numChannels, numFrames, resampledFrames, ratio);
+            }
+        }
+
+        return resampled;
+    };
+
+    /**
+     * Linear interpolation between the two nearest input samples. Fast, but doesn't filter aliasing when
+     * downsampling.
+     */
+    var resampleLinear = function (input, output, channel, channels, numFrames, outputFrames, ratio) {
+        for (var i = 0; i < outputFrames; i++) {
+            var position = i / ratio,
+                index = Math.floor(position),
+                fraction = position - index,
+                current = input[Math.min(index, numFrames - 1) * channels + channel],
+                next = input[Math.min(index + 1, numFrames - 1) * channels + channel];
+
+            output[i * channels + channel] = current + (next - current) * fraction;
+        }
+    };
+
+    /**
+     * Band-limited interpolation using a Blackman windowed sinc. When downsampling, the cutoff is lowered to the new
+     * Nyquist frequency to avoid aliasing. The kernel is tabulated, since calculating it for every tap is slow.
+     */
+    var resampleSinc = function (input, output, channel, channels, numFrames, outputFrames, ratio) {
+        var zeroCrossings = 16,
+            tableResolution = 256,
+            cutoff = Math.min(1, ratio) * 0.95,
+            halfWidth = zeroCrossings / cutoff,
+            table = getSincTable(zeroCrossings, tableResolution);
+
+        for (var i = 0; i < outputFrames; i++) {
+            var position = i / ratio,
+                first = Math.max(0, Math.ceil(position - halfWidth)),
+                last = Math.min(numFrames - 1, Math.floor(position + halfWidth)),
+                total = 0,
+                weights = 0;
+
+            for (var j = first; j <= last; j++) {
+                var weight = table[Math.round(Math.abs(position - j) * cutoff * tableResolution)];
+
+                total += input[j * channels + channel] * weight;
+                weights += weight;
+            }
+
+            // Normalize, so that the gain is kept, also near the edges
+            output[i * channels + channel] = weights !== 0 ? total / weights : 0;
+        }
+    };
+
+    var sincTables = {};
+
+    /**
+     * Returns the right half of the windowed sinc kernel, with the given number of values per zero crossing.
+     */
+    var getSincTable = function (zeroCrossings, resolution) {
+        var key = zeroCrossings + ':' + resolution;
+
+        if (!sincTables[key]) {
+            var size = zeroCrossings * resolution,
+                table = new Float32Array(size + 2);
+
+            for (var i = 0; i <= size; i++) {
+                var x = i / resolution,
+                    sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x),
+                    w = 0.5 + 0.5 * x / zeroCrossings;
+
+                table[i] = sinc * (0.42 - 0.5 * Math.cos(2 * Math.PI * w) + 0.08 * Math.cos(4 * Math.PI * w));
+            }
+
+            sincTables[key] = table;
+        }
+
+        return sincTables[key];
+    };
+
+    return {
+        resampleAudioBuffer: resampleAudioBuffer,
+        resample: resample
+    }
+};
+
+var ReSampler = createReSampler();
+
+
+/*
+ * Encode data to WAV format. Define your own 'wavEncode' if you want to override this with something else.
+ * The encoder Web Worker creates its own instance using 'createWavEncoder'.
+ */
+var createWavEncoder = function () {
+    /**
+     * The supported sample formats, with their WAV audio format code, bits per sample and sample writer.
+     */
+    var FORMATS = {
+        pcm8: {audioFormat: 1, bitsPerSample: 8, write: function (view, offset, s) {
+            view.setUint8(offset, Math.round(s < 0 ? s * 0x80 : s * 0x7F) + 0x80);
+        }},
+        pcm16: {audioFormat: 1, bitsPerSample: 16, write: function (view, offset, s) {
+            view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+        }},
+        pcm24: {audioFormat: 1, bitsPerSample: 24, write: function (view, offset, s) {
+            var value = Math.round(s < 0 ? s * 0x800000 : s * 0x7FFFFF);
+            view.setUint8(offset, value & 0xFF);
+            view.setUint8(offset + 1, (value >> 8) & 0xFF);
+            view.setUint8(offset + 2, (value >> 16) & 0xFF);
+        }},
+        float32: {audioFormat: 3, bitsPerSample: 32, write: function (view, offset, s) {
+            view.setFloat32(offset, s, true);
+        }},
+        mulaw: {audioFormat: 7, bitsPerSample: 8, write: function (view, offset, s) {
+            view.setUint8(offset, linearToMuLaw(s < 0 ? s * 0x8000 : s * 0x7FFF));
+        }},
+        alaw: {audioFormat: 6, bitsPerSample: 8, write: function (view, offset, s) {
+            view.setUint8(offset, linearToALaw(s < 0 ? s * 0x8000 : s * 0x7FFF));
+        }}
+    };
+
+    /**
+     *
+     * @param samples - The sample array, interleaved if more than one channel
+     * @param {int} sampleRate - The sample rate
+     * @param {int} channels - The number of channels
+     * @param {String} format - (Optional) One of the speechcapture.WAV_FORMAT values, defaults to 16-bit PCM
+     * @param metadata - (Optional) The metadata chunks to include: {info, bext, cue, speech}, see createMetadataChunks
+     * @returns {DataView}
+     */
+    var encode = function (samples, sampleRate, channels, format, metadata) {
+        var sampleFormat = FORMATS[format] || FORMATS.pcm16,
+            isPCM = sampleFormat.audioFormat === 1,
+            numChannels = channels || 1,
+            numFrames = Math.floor(samples.length / numChannels),
+            bytesPerSample = sampleFormat.bitsPerSample / 8,
+            blockAlign = numChannels * bytesPerSample,
+            byteRate = sampleRate * blockAlign,
+            dataSize = numFrames * blockAlign,
+            padding = dataSize % 2, // Chunks must be of even size
+            fmtSize = isPCM ? 16 : 18, // Non-PCM formats have an (empty) extension
+            factSize = isPCM ? 0 : 12, // Non-PCM formats require a fact chunk
+            chunks = metadata ? createMetadataChunks(metadata, sampleRate) : {before: [], after: []},
+            beforeSize = getChunksSize(chunks.before),
+            afterSize = getChunksSize(chunks.after),
+            headerSize = 12 + 8 + fmtSize + factSize + beforeSize + 8,
+            offset = 0;
+
+        var buffer = new ArrayBuffer(headerSize + dataSize + padding + afterSize),
+            view = new DataView(buffer);
+
+        writeString(view, 0, 'RIFF'); // ChunkID
+        view.setUint32(4, buffer.byteLength - 8, true); // Chunk Size
+        writeString(view, 8, 'WAVE'); // Format
+        writeString(view, 12, 'fmt '); // Subchunk1ID
+        view.setUint32(16, fmtSize, true); // Subchunk1Size
+        view.setUint16(20, sampleFormat.audioFormat, true); // Audio Format
+        view.setUint16(22, numChannels, true); // Number of channels
+        view.setUint32(24, sampleRate, true); // Sample Rate
+        view.setUint32(28, byteRate, true); // Byte Rate
+        view.setUint16(32, blockAlign, true); // Block Align
+        view.setUint16(34, sampleFormat.bitsPerSample, true); // Bits Per Sample
+        offset = 36;
+
+        if (!isPCM) {
+            view.setUint16(offset, 0, true); // Extension Size
+            writeString(view, offset + 2, 'fact'); // fact chunk
+            view.setUint32(offset + 6, 4, true); // fact chunk size
+            view.setUint32(offset + 10, numFrames, true); // Number of frames
+            offset += 14;
+        }
+
+        offset = writeChunks(view, offset, chunks.before);
+
+        writeString(view, offset, 'data'); // Subchunk2ID
+        view.setUint32(offset + 4, dataSize, true); // Subchunk2Size
+        offset += 8;
+
+        writeSamples(view, offset, samples, numFrames * numChannels, sampleFormat);
+        offset += dataSize + padding;
+
+        writeChunks(view, offset, chunks.after);
+
+        return view;
+    };
+
+    /**
+     * Creates the metadata chunks. The bext and LIST/INFO chunks are placed before the audio data, while the cue
+     * chunk and its labels are placed after.
+     *
+     * @param metadata
+     * @param metadata.info - An object with the LIST/INFO fields, e.g. {INAM: 'Title', IART: 'Artist'}
+     * @param metadata.bext - true, or an object with the description, originator and originatorReference of the bext
+     * chunk
+     * @param metadata.cue - true to add a cue point at the start of the speech, labeled with the speech metadata
+     * @param metadata.speech - The speech metadata: {startTime, duration, ambientLevel, peakLevel, threshold, processing}
+     * @param {int} sampleRate
+     * @returns {{before: Array, after: Array}} Arrays of {id, data} chunks, where data is an array of bytes
+     */
+    var createMetadataChunks = function (metadata, sampleRate) {
+        var chunks = {before: [], after: []},
+            speech = metadata.speech || {},
+            startDate = new Date(speech.startTime || Date.now()),
+            summary = describeSpeech(speech);
+
+        if (metadata.bext) {
+            var bext = metadata.bext === true ? {} : metadata.bext,
+                midnight = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate()),
+                timeReference = Math.round((startDate.getTime() - midnight.getTime()) / 1000 * sampleRate);
+
+            chunks.before.push({
+                id: 'bext',
+                data: [].concat(
+                    textBytes(bext.description || summary, 256),
+                    textBytes(bext.originator || 'speechcapture', 32),
+                    textBytes(bext.originatorReference || '', 32),
+                    textBytes(formatDate(startDate), 10),
+                    textBytes(formatTime(startDate), 8),
+                    uint32Bytes(timeReference % 0x100000000), // TimeReferenceLow
+                    uint32Bytes(Math.floor(timeReference / 0x100000000)), // TimeReferenceHigh
+                    [1, 0], // Version
+                    zeroBytes(64), // UMID
+                    zeroBytes(190) // Reserved
+                )
+            });
+        }
+
+        if (metadata.info) {
+            var fields = {
+                    ISFT: 'speechcapture',
+                    ICRD: formatDate(startDate),
+                    ICMT: summary
+                },
+                infoData = textBytes('INFO', 4),
+                id;
+
+            for (id in metadata.info) {
+                if (metadata.info.hasOwnProperty(id) && id.length === 4) {
+                    fields[id] = String(metadata.info[id]);
+                }
+            }
+
+            for (id in fields) {
+                if (fields.hasOwnProperty(id)) {
+                    infoData = infoData.concat(chunkBytes(id, textBytes(fields[id])));
+                }
+            }
+
+            chunks.before.push({id: 'LIST', data: infoData});
+        }
+
+        if (metadata.cue) {
+            chunks.after.push({
+                id: 'cue ',
+                data: [].concat(
+                    uint32Bytes(1), // Number of cue points
+                    uint32Bytes(1), // ID
+                    uint32Bytes(0), // Position
+                    textBytes('data', 4), // Chunk ID
+                    uint32Bytes(0), // Chunk Start
+                    uint32Bytes(0), // Block Start
+                    uint32Bytes(0) // Sample Offset
+                )
+            });
+
+            chunks.after.push({
+                id: 'LIST',
+                data: [].concat(
+                    textBytes('adtl', 4),
+                    chunkBytes('labl', uint32Bytes(1).concat(textBytes('speech'))),
+                    chunkBytes('note', uint32Bytes(1).concat(textBytes(summary)))
+                )
+            });
+        }
+
+        return chunks;
+    };
+
+    /**
+     *
+     * @param speech
+     * @returns {String} e.g. "startTime=2016-10-19T10:00:00.000Z; duration=1200; ambientLevel=-60.0; ..."
+     */
+    var describeSpeech = function (speech) {
+        var round = function (value) {
+            return typeof value === "number" && isFinite(value) ? value.toFixed(1) : String(value);
+        };
+
+        var description = 'startTime=' + new Date(speech.startTime || 0).toISOString() +
+            '; duration=' + speech.duration +
+            '; ambientLevel=' + round(speech.ambientLevel) +
+            '; peakLevel=' + round(speech.peakLevel) +
+            '; threshold=' + round(speech.threshold);
+
+        if (speech.processing) {
+            description += '; gain=' + round(speech.processing.gain) +
+                '; outputPeakLevel=' + round(speech.processing.outputPeakLevel);
+
+            if (speech.processing.inputLoudness !== null) {
+                description += '; loudness=' + round(speech.processing.inputLoudness);
+            }
+        }
+
+        return description;
+    };
+
+    /**
+     *
+     * @param {Date} date
+     * @returns {String} yyyy-mm-dd
+     */
+    var formatDate = function (date) {
+        return date.getFullYear() + '-' + pad2(date.getMonth() + 1) + '-' + pad2(date.getDate());
+    };
+
+    /**
+     *
+     * @param {Date} date
+     * @returns {String} hh:mm:ss
+     */
+    var formatTime = function (date) {
+        return pad2(date.getHours()) + ':' + pad2(date.getMinutes()) + ':' + pad2(date.getSeconds());
+    };
 
+    var pad2 = function (value) {
+        return (value < 10 ? '0' : '') + value;
+    };
 
     /**
+     * Returns the ASCII bytes of the string, either zero padded to length, or zero terminated if no length is given.
      *
-     * @param audioInputBuffer
-     * @private
+     * @param {String} string
+     * @param {int} length - (Optional)
+     * @returns {Array}
      */
-    var _iteratedAndMonitorInputBuffer = function (audioInputBuffer) {
-        try {
-            var len = audioInputBuffer.length;
+    var textBytes = function (string, length) {
+        var size = length || string.length + 1,
+            bytes = zeroBytes(size);
+
+        for (var i = 0; i < string.length && i < size; i++) {
+            var code = string.charCodeAt(i);
+            bytes[i] = code < 128 ? code : 63; // '?'
+        }
+
+        if (!length) {
+            bytes[size - 1] = 0;
+        }
+
+        return bytes;
+    };
+
+    var uint32Bytes = function (value) {
+        return [value & 0xFF, (value >>> 8) & 0xFF, (value >>> 16) & 0xFF, (value >>> 24) & 0xFF];
+    };
+
+    var zeroBytes = function (length) {
+        var bytes = [];
+
+        for (var i = 0; i < length; i++) {
+            bytes.push(0);
+        }
+
+        return bytes;
+    };
+
+    /**
+     * Returns the bytes of a complete (sub)chunk, padded to even size.
+     *
+     * @param {String} id
+     * @param {Array} data
+     * @returns {Array}
+     */
+    var chunkBytes = function (id, data) {
+        var bytes = textBytes(id, 4).concat(uint32Bytes(data.length), data);
+
+        if (data.length % 2) {
+            bytes.push(0);
+        }
+
+        return bytes;
+    };
+
+    var getChunksSize = function (chunks) {
+        var size = 0;
 
-            // If buffer isn't of the expected size, recalculate everything based on the new length
-            if (len !== _cfg.bufferSize) {
-                _calculateTimePeriods(_cfg.inputSampleRate, len);
+        for (var i = 0; i < chunks.length; i++) {
+            size += 8 + chunks[i].data.length + chunks[i].data.length % 2;
+        }
+
+        return size;
+    };
+
+    var writeChunks = function (view, offset, chunks) {
+        for (var i = 0; i < chunks.length; i++) {
+            var bytes = chunkBytes(chunks[i].id, chunks[i].data);
+
+            for (var j = 0; j < bytes.length; j++) {
+                view.setUint8(offset++, bytes[j]);
             }
+        }
+
+        return offset;
+    };
+
+    /**
+     * Returns true if format is one of the speechcapture.WAV_FORMAT values.
+     *
+     * @param {String} format
+     * @returns {boolean}
+     */
+    var isFormatSupported = function (format) {
+        return FORMATS.hasOwnProperty(format);
+    };
+
+    /**
+     *
+     * @param view
+     * @param offset
+     * @param {String} string
+     */
+    var writeString = function (view, offset, string) {
+        for (var i = 0; i < string.length; i++) {
+            view.setUint8(offset + i, string.charCodeAt(i));
+        }
+    };
+
+    /**
+     *
+     * @param output
+     * @param offset
+     * @param input
+     * @param {int} length - The number of samples to write
+     * @param sampleFormat
+     */
+    var writeSamples = function (output, offset, input, length, sampleFormat) {
+        var bytesPerSample = sampleFormat.bitsPerSample / 8;
+
+        for (var i = 0; i < length; i++, offset += bytesPerSample) {
+            sampleFormat.write(output, offset, Math.max(-1, Math.min(1, input[i])));
+        }
+    };
+
+    /**
+     * G.711 mu-law encoding of a 16-bit sample.
+     *
+     * @param {number} sample
+     * @returns {int}
+     */
+    var linearToMuLaw = function (sample) {
+        var BIAS = 0x21,
+            CLIP = 8159,
+            mask = 0xFF,
+            segment = 0;
+
+        // mu-law uses 14-bit samples
+        sample = Math.round(sample) >> 2;
+
+        if (sample < 0) {
+            sample = -sample;
+            mask = 0x7F;
+        }
+
+        sample = Math.min(sample, CLIP) + BIAS;
+
+        while (segment < 8 && sample > (0x40 << segment) - 1) {
+            segment++;
+        }
+
+        if (segment === 8) {
+            return (0x7F ^ mask) & 0xFF;
+        }
+
+        return (((segment << 4) | ((sample >> (segment + 1)) & 0x0F)) ^ mask) & 0xFF;
+    };
+
+    /**
+     * G.711 A-law encoding of a 16-bit sample.
+     *
+     * @param {number} sample
+     * @returns {int}
+     */
+    var linearToALaw = function (sample) {
+        var sign = 0x80,
+            exponent = 7,
+            mantissa;
+
+        sample = Math.round(sample);
+
+        if (sample < 0) {
+            sample = -sample - 1;
+            sign = 0;
+        }
+
+        sample = Math.min(sample, 32767);
+
+        if (sample < 256) {
+            return ((sign | (sample >> 4)) ^ 0x55) & 0xFF;
+        }
+
+        for (var mask = 0x4000; (sample & mask) === 0 && exponent > 1; mask >>= 1) {
+            exponent--;
+        }
+
+        mantissa = (sample >> (exponent + 3)) & 0x0F;
+
+        return ((sign | (exponent << 4) | mantissa) ^ 0x55) & 0xFF;
+    };
+
+    /**
+     *
+     * @param inputL
+     * @param inputR
+     * @returns {Float32Array}
+     */
+    var interleave = function (inputL, inputR) {
+        var length = inputL.length + inputR.length;
+        var result = new Float32Array(length);
+
+        var index = 0;
+        var inputIndex = 0;
+
+        while (index < length) {
+            result[index++] = inputL[inputIndex];
+            result[index++] = inputR[inputIndex];
+            inputIndex++
+        }
+        return result
+    };
+
+    return {
+        encode: encode,
+        isFormatSupported: isFormatSupported,
+        interleave: interleave
+    };
+};
+
+var wavEncoder = createWavEncoder();
+
+
+/*
+ * Decode WAV data, used by speechcapture.analyze. Supports PCM (8, 16, 24 and 32-bit), 32 and 64-bit floating point,
+ * and G.711 mu-law/A-law, i.e. every sample format that wavEncoder can produce.
+ */
+var wavDecoder = (function () {
+    var FORMAT_PCM = 1,
+        FORMAT_FLOAT = 3,
+        FORMAT_A_LAW = 6,
+        FORMAT_MU_LAW = 7,
+        FORMAT_EXTENSIBLE = 0xFFFE;
+
+    /**
+     * Returns true if the data starts with a RIFF/WAVE header.
+     *
+     * @param {ArrayBuffer} arrayBuffer
+     * @returns {boolean}
+     */
+    var isWAV = function (arrayBuffer) {
+        return arrayBuffer.byteLength >= 12 && readString(new DataView(arrayBuffer), 0, 4) === 'RIFF' &&
+            readString(new DataView(arrayBuffer), 8, 4) === 'WAVE';
+    };
 
-            for (var i = 0; i < _noOfAnalysisBuffersPerIteration; i++) {
-                var startIdx = i * _analysisBufferSize,
-                    endIdx = startIdx + _analysisBufferSize;
+    /**
+     *
+     * @param {ArrayBuffer} arrayBuffer
+     * @returns {{samples: Float32Array, sampleRate: int, channels: int}} The samples are interleaved if more than one
+     * channel
+     */
+    var decode = function (arrayBuffer) {
+        if (!isWAV(arrayBuffer)) {
+            throw "Not a WAV file";
+        }
 
-                if (endIdx > len) {
-                    endIdx = len;
+        var view = new DataView(arrayBuffer),
+            offset = 12,
+            fmt = null;
+
+        while (offset + 8 <= view.byteLength) {
+            var id = readString(view, offset, 4),
+                size = view.getUint32(offset + 4, true);
+
+            if (id === 'fmt ') {
+                fmt = {
+                    audioFormat: view.getUint16(offset + 8, true),
+                    channels: view.getUint16(offset + 10, true),
+                    sampleRate: view.getUint32(offset + 12, true),
+                    bitsPerSample: view.getUint16(offset + 22, true)
+                };
+
+                // The actual format of WAVE_FORMAT_EXTENSIBLE is the start of the sub format GUID
+                if (fmt.audioFormat === FORMAT_EXTENSIBLE && size >= 26) {
+                    fmt.audioFormat = view.getUint16(offset + 32, true);
                 }
+            }
+            else if (id === 'data') {
+                if (!fmt) {
+                    throw "WAV data chunk before fmt chunk";
+                }
+
+                // Streamed WAV files may have an unknown (0 or too large) data size
+                var dataSize = size > 0 ? Math.min(size, view.byteLength - offset - 8) : view.byteLength - offset - 8;
+
+                return {
+                    samples: decodeSamples(view, offset + 8, dataSize, fmt),
+                    sampleRate: fmt.sampleRate,
+                    channels: fmt.channels
+                };
+            }
+
+            offset += 8 + size + (size % 2); // Chunks are padded to even sizes
+        }
+
+        throw "WAV file without data chunk";
+    };
+
+    var decodeSamples = function (view, offset, dataSize, fmt) {
+        var bytesPerSample = fmt.bitsPerSample / 8,
+            numSamples = Math.floor(dataSize / bytesPerSample),
+            samples = new Float32Array(numSamples),
+            read = getSampleReader(fmt);
+
+        for (var i = 0; i < numSamples; i++, offset += bytesPerSample) {
+            samples[i] = read(view, offset);
+        }
+
+        return samples;
+    };
+
+    var getSampleReader = function (fmt) {
+        switch (fmt.audioFormat + ':' + fmt.bitsPerSample) {
+            case FORMAT_PCM + ':8':
+                return function (view, offset) {
+                    return (view.getUint8(offset) - 0x80) / 0x80;
+                };
+            case FORMAT_PCM + ':16':
+                return function (view, offset) {
+                    return view.getInt16(offset, true) / 0x8000;
+                };
+            case FORMAT_PCM + ':24':
+                return function (view, offset) {
+                    return ((view.getInt8(offset + 2) << 16) | view.getUint16(offset, true)) / 0x800000;
+                };
+            case FORMAT_PCM + ':32':
+                return function (view, offset) {
+                    return view.getInt32(offset, true) / 0x80000000;
+                };
+            case FORMAT_FLOAT + ':32':
+                return function (view, offset) {
+                    return view.getFloat32(offset, true);
+                };
+            case FORMAT_FLOAT + ':64':
+                return function (view, offset) {
+                    return view.getFloat64(offset, true);
+                };
+            case FORMAT_MU_LAW + ':8':
+                return function (view, offset) {
+                    return muLawToLinear(view.getUint8(offset)) / 0x8000;
+                };
+            case FORMAT_A_LAW + ':8':
+                return function (view, offset) {
+                    return aLawToLinear(view.getUint8(offset)) / 0x8000;
+                };
+            default:
+                throw "Unsupported WAV format " + fmt.audioFormat + " with " + fmt.bitsPerSample + " bits per sample";
+        }
+    };
+
+    /**
+     * G.711 mu-law to 16-bit linear.
+     */
+    var muLawToLinear = function (value) {
+        value = ~value & 0xFF;
+
+        var sample = (((value & 0x0F) << 3) + 0x84) << ((value & 0x70) >> 4);
+
+        return value & 0x80 ? 0x84 - sample : sample - 0x84;
+    };
+
+    /**
+     * G.711 A-law to 16-bit linear.
+     */
+    var aLawToLinear = function (value) {
+        value ^= 0x55;
+
+        var segment = (value & 0x70) >> 4,
+            sample = (value & 0x0F) << 4;
+
+        if (segment === 0) {
+            sample += 8;
+        }
+        else {
+            sample = (sample + 0x108) << (segment - 1);
+        }
+
+        return value & 0x80 ? sample : -sample;
+    };
+
+    var readString = function (view, offset, length) {
+        var result = '';
+
+        for (var i = 0; i < length; i++) {
+            result += String.fromCharCode(view.getUint8(offset + i));
+        }
+
+        return result;
+    };
+
+    return {
+        isWAV: isWAV,
+        decode: decode
+    };
+})();
+
+
+/*
+ * The preprocessing chain applied to the input audio before speech detection: a high-pass filter removing rumble, notch
+ * filters removing 50/60 Hz hum (and its harmonics), a spectral subtraction noise suppressor and any custom stages.
+ * Each detector creates its own chain, since the filters keep their state between the input buffers.
+ */
+var createPreprocessingChain = function (sampleRate, channels, options) {
+    var HIGH_PASS_Q = Math.SQRT1_2, // Butterworth
+        HUM_NOTCH_Q = 30,
+        HUM_HARMONICS = 3,
+        SUPPRESSION_FRAME_LENGTH = 0.032, // S
+        SUPPRESSION_FLOOR = 0.1, // The minimum gain of a frequency bin (-20 dB)
+        NOISE_WARMUP_FRAMES = 8,
+        NOISE_UPDATE_RATE = 0.05,
+        NOISE_UPDATE_LIMIT = 2; // Only frames with less than twice the noise power update the noise profile
+
+    var numChannels = channels || 1,
+        filters = [],
+        suppressors = [],
+        latency = 0, // Frames
+        delayLine = null,
+        delayPos = 0,
+        c, k;
+
+    /**
+     * Processes the input buffer. The spectral subtraction delays the audio by its frame length, see latency.
+     *
+     * @param {Float32Array} samples - The input audio, interleaved if more than one channel
+     * @param {boolean} learnNoise - true = The input may be used to learn the noise profile, i.e. it isn't speech
+     * @returns {Float32Array} The processed audio
+     */
+    var process = function (samples, learnNoise) {
+        var result = new Float32Array(samples.length),
+            frames = Math.floor(samples.length / numChannels),
+            i;
 
-                var buf = audioInputBuffer.slice(startIdx, endIdx);
+        for (c = 0; c < numChannels; c++) {
+            for (i = 0; i < frames; i++) {
+                var value = samples[i * numChannels + c];
+
+                for (k = 0; k < filters[c].length; k++) {
+                    value = filters[c][k].process(value);
+                }
 
-                if (!_monitor(buf)) {
-                    return; // Ignore more speech
+                if (suppressors.length > 0) {
+                    value = suppressors[c].process(value, learnNoise);
                 }
+
+                result[i * numChannels + c] = value;
             }
         }
-        catch (e) {
-            _callErrorCB("_iteratedAndMonitorInputBuffer exception: " + e);
-            _callSpeechStatusCB(STATUS.SPEECH_ERROR);
+
+        if (options.preprocessors) {
+            for (k = 0; k < options.preprocessors.length; k++) {
+                result = options.preprocessors[k](result, numChannels, sampleRate);
+            }
         }
+
+        return result;
     };
 
+    /**
+     * Delays the (unprocessed) input buffer as much as process does, so that it stays aligned with the processed audio.
+     *
+     * @param {Float32Array} samples - The input audio, interleaved if more than one channel
+     * @returns {Float32Array} The delayed audio
+     */
+    var delay = function (samples) {
+        if (latency === 0) {
+            return samples;
+        }
+
+        if (!delayLine) {
+            delayLine = new Float32Array(latency * numChannels);
+        }
+
+        var result = new Float32Array(samples.length);
+
+        for (var i = 0; i < samples.length; i++) {
+            result[i] = delayLine[delayPos];
+            delayLine[delayPos] = samples[i];
+            delayPos = (delayPos + 1) % delayLine.length;
+        }
+
+        return result;
+    };
 
     /**
+     * Creates a biquad filter according to the Audio EQ Cookbook.
      *
-     * @param audioBuffer
-     * @private
+     * @param {String} type - 'highpass' or 'notch'
+     * @param {number} frequency - Hz
+     * @param {number} q
      */
-    var _monitor = function (audioBuffer) {
-        try {
+    var createBiquad = function (type, frequency, q) {
+        var w0 = 2 * Math.PI * frequency / sampleRate,
+            cos = Math.cos(w0),
+            alpha = Math.sin(w0) / (2 * q),
+            a0 = 1 + alpha,
+            b = type === 'highpass' ? [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2] : [1, -2 * cos, 1],
+            b0 = b[0] / a0,
+            b1 = b[1] / a0,
+            b2 = b[2] / a0,
+            a1 = -2 * cos / a0,
+            a2 = (1 - alpha) / a0,
+            z1 = 0,
+            z2 = 0;
 
-            // First: Has maximum length threshold occurred or continue?
-            if (_currentSpeechLength + 1 > _speechMaximumLengthChunks) {
-                _maximumLengthSpeechEvent(_currentSpeechHistory);
-                return false;
+        return {
+            process: function (x) {
+                var y = b0 * x + z1;
+
+                z1 = b1 * x - a1 * y + z2;
+                z2 = b2 * x - a2 * y;
+
+                return y;
+            }
+        };
+    };
+
+    /**
+     * Creates a spectral subtraction noise suppressor for one channel. The audio is processed in frames overlapping by
+     * 50%, using square root Hann windows for both analysis and synthesis. The noise profile is the average power
+     * spectrum of the frames that may be used to learn it; the first frames are always used, while later frames are
+     * only used if they aren't much louder than the noise.
+     */
+    var createSuppressor = function () {
+        var frameSize = 1,
+            i;
+
+        while (frameSize < SUPPRESSION_FRAME_LENGTH * sampleRate) {
+            frameSize *= 2;
+        }
+
+        var hopSize = frameSize / 2,
+            hann = new Float64Array(frameSize),
+            input = new Float64Array(frameSize),
+            overlap = new Float64Array(frameSize),
+            ready = new Float64Array(hopSize),
+            noise = new Float64Array(frameSize / 2 + 1),
+            re = new Float64Array(frameSize),
+            im = new Float64Array(frameSize),
+            noiseFrames = 0,
+            pos = 0;
+
+        for (i = 0; i < frameSize; i++) {
+            hann[i] = Math.sqrt(0.5 - 0.5 * Math.cos(2 * Math.PI * i / frameSize));
+        }
+
+        // A sample is output when the frame following the one it was added to has been processed
+        latency = frameSize;
+
+        var processFrame = function (learnNoise) {
+            var bins = frameSize / 2 + 1,
+                framePower = 0,
+                noisePower = 0,
+                j;
+
+            for (j = 0; j < frameSize; j++) {
+                re[j] = input[j] * hann[j];
+                im[j] = 0;
             }
 
-            // Is somebody speaking?
-            if (_identifySpeech(audioBuffer)) {
-                // Speech Started or continued?
-                if (!_speakingRightNow) {
-                    _startSpeechEvent(audioBuffer);
+            spectralAnalyzer.fft(re, im);
+
+            for (j = 0; j < bins; j++) {
+                framePower += re[j] * re[j] + im[j] * im[j];
+                noisePower += noise[j];
+            }
+
+            if (learnNoise && (noiseFrames < NOISE_WARMUP_FRAMES || framePower < noisePower * NOISE_UPDATE_LIMIT)) {
+                var rate = noiseFrames < NOISE_WARMUP_FRAMES ? 1 / (noiseFrames + 1) : NOISE_UPDATE_RATE;
+
+                for (j = 0; j < bins; j++) {
+                    noise[j] += ((re[j] * re[j] + im[j] * im[j]) - noise[j]) * rate;
                 }
-                else {
-                    _continueSpeechEvent(audioBuffer, false);
+
+                noiseFrames++;
+            }
+
+            if (noiseFrames >= NOISE_WARMUP_FRAMES) {
+                for (j = 0; j < bins; j++) {
+                    var power = re[j] * re[j] + im[j] * im[j],
+                        gain = power > 0 ? Math.sqrt(Math.max(1 - options.spectralSubtractionFactor * noise[j] / power,
+                            SUPPRESSION_FLOOR * SUPPRESSION_FLOOR)) : SUPPRESSION_FLOOR;
+
+                    re[j] *= gain;
+                    im[j] *= gain;
+
+                    // Keep the spectrum conjugate symmetric
+                    if (j > 0 && j < frameSize / 2) {
+                        re[frameSize - j] = re[j];
+                        im[frameSize - j] = -im[j];
+                    }
                 }
             }
-            else {
-                // No speech was identified this time, was speech previously started?
-                if (_speakingRightNow) {
-                    _noSpeechPeriod++;
 
-                    // Was speech paused long enough to stop speech event?
-                    if (_noSpeechPeriod > _speechAllowedDelayChunks) {
-                        _stopSpeechEvent(_currentSpeechHistory);
+            // Inverse FFT, using the FFT of the complex conjugate
+            for (j = 0; j < frameSize; j++) {
+                im[j] = -im[j];
+            }
+
+            spectralAnalyzer.fft(re, im);
+
+            for (j = 0; j < frameSize; j++) {
+                overlap[j] += re[j] / frameSize * hann[j];
+            }
+        };
+
+        return {
+            process: function (x, learnNoise) {
+                var y = ready[pos];
+
+                input[hopSize + pos] = x;
+
+                if (++pos === hopSize) {
+                    pos = 0;
+                    processFrame(learnNoise);
+
+                    for (i = 0; i < hopSize; i++) {
+                        ready[i] = overlap[i];
+                        input[i] = input[i + hopSize];
                     }
-                    else {
-                        if (!_cfg.compressPauses) {
-                            _continueSpeechEvent(audioBuffer, true);
-                        }
+
+                    for (i = 0; i < hopSize; i++) {
+                        overlap[i] = overlap[i + hopSize];
+                        overlap[i + hopSize] = 0;
                     }
                 }
 
-                // Handle silence
-                _calculateAmbientAverageLevel(_lastAudioLevel);
+                return y;
+            }
+        };
+    };
+
+    for (c = 0; c < numChannels; c++) {
+        var channelFilters = [];
+
+        if (options.highPassFilter) {
+            channelFilters.push(createBiquad('highpass', options.highPassFrequency, HIGH_PASS_Q));
+        }
+
+        if (options.humFilter) {
+            for (k = 1; k <= HUM_HARMONICS && options.humFrequency * k < sampleRate / 2; k++) {
+                channelFilters.push(createBiquad('notch', options.humFrequency * k, HUM_NOTCH_Q));
             }
-
-            return true;
         }
-        catch (e) {
-            _callErrorCB("_monitor exception: " + e);
-            _callSpeechStatusCB(STATUS.SPEECH_ERROR);
-            _resetAll();
-            return false;
+
+        filters.push(channelFilters);
+
+        if (options.spectralSubtraction) {
+            suppressors.push(createSuppressor());
         }
+    }
+
+    return {
+        process: process,
+        delay: delay,
+        latency: latency
     };
+};
+
 
+/*
+ * Post-processing of captured speech: DC offset removal, peak or loudness normalization and a soft limiter.
+ * Define your own 'audioNormalizer' if you want to override this with something else.
+ */
+var audioNormalizer = (function () {
+    var LOUDNESS_BLOCK_LENGTH = 0.4, // S, the gating block length of ITU-R BS.1770
+        LOUDNESS_BLOCK_OVERLAP = 0.75,
+        LOUDNESS_ABSOLUTE_GATE = -70, // LUFS
+        LOUDNESS_RELATIVE_GATE = -10; // LU
 
     /**
+     * Processes the audio in place.
      *
-     * @param audioBuffer
-     * @returns {boolean}
-     * @private
+     * @param {Float32Array} samples - The audio, interleaved if more than one channel
+     * @param {int} sampleRate
+     * @param {int} channels
+     * @param options - {removeDCOffset, normalization: 'none'|'peak'|'loudness', target, maxGain, limiter,
+     * limiterThreshold}, where target, maxGain and limiterThreshold are in dB (target in LUFS for 'loudness')
+     * @returns {{dcOffset: Array, inputPeakLevel: number, inputLoudness: number, gain: number, limitedSamples: int,
+     * outputPeakLevel: number}}
      */
-    var _identifySpeech = function (audioBuffer) {
-        try {
-
-            if (audioBuffer && audioBuffer.length > 0) {
-                _analyzeIterations++;
+    var process = function (samples, sampleRate, channels, options) {
+        var numChannels = channels || 1,
+            report = {
+                dcOffset: null,
+                inputPeakLevel: toDecibel(getPeak(samples)),
+                inputLoudness: null,
+                gain: 0,
+                limitedSamples: 0,
+                outputPeakLevel: null
+            };
 
-                var currentLevel = _getAudioLevels(audioBuffer);
+        if (options.removeDCOffset) {
+            report.dcOffset = removeDCOffset(samples, numChannels);
+            report.inputPeakLevel = toDecibel(getPeak(samples));
+        }
 
-                if (currentLevel !== -Infinity) {
+        if (options.normalization === 'peak') {
+            report.gain = options.target - report.inputPeakLevel;
+        }
+        else if (options.normalization === 'loudness') {
+            report.inputLoudness = getLoudness(samples, sampleRate, numChannels);
+            report.gain = options.target - report.inputLoudness;
+        }
 
-                    _lastAudioLevel = currentLevel;
+        if (!isFinite(report.gain)) {
+            report.gain = 0; // Silence
+        }
+        else if (report.gain !== 0) {
+            report.gain = Math.min(report.gain, options.maxGain);
 
-                    if (_lastAudioLevel > _currentThreshold) {
-                        _totalNumOfSpeechChunks++;
-                        return true;
-                    }
-                }
+            // Without the limiter, the gain is reduced to avoid clipping
+            if (!options.limiter) {
+                report.gain = Math.min(report.gain, -report.inputPeakLevel);
             }
         }
-        catch (e) {
-            _callErrorCB("_identifySpeech exception: " + e);
-            _callSpeechStatusCB(STATUS.SPEECH_ERROR);
+
+        if (report.gain !== 0) {
+            applyGain(samples, Math.pow(10, report.gain / 20));
         }
 
-        return false;
-    };
+        if (options.limiter) {
+            report.limitedSamples = limit(samples, Math.pow(10, options.limiterThreshold / 20));
+        }
 
+        report.outputPeakLevel = toDecibel(getPeak(samples));
 
-    /**
-     *
-     * @private
-     */
-    var _calculateAmbientAverageLevel = function (audioLevel) {
-        _silentIterations++;
-        _ambientTotal = _ambientTotal + audioLevel;
-        _ambientAverageLevel = _ambientTotal / _silentIterations;
-        _currentThreshold = _ambientAverageLevel + _cfg.speechDetectionThreshold;
-        _currentThreshold = _currentThreshold > 0 ? 0 : _currentThreshold;
+        return report;
     };
 
-
     /**
+     * Subtracts the mean of each channel.
      *
-     * @param audioBuffer
-     *
-     * @private
-     * @returns {*}
+     * @returns {Array} The removed offset of each channel
      */
-    var _getAudioLevels = function (audioBuffer) {
-        try {
+    var removeDCOffset = function (samples, channels) {
+        var frames = Math.floor(samples.length / channels),
+            offsets = [],
+            c, i;
 
-            var total = 0,
-                length = audioBuffer.length,
-                decibel,
-                rms,
-                absFreq;
+        for (c = 0; c < channels; c++) {
+            var total = 0;
 
-            for (var i = 0; i < length; i++) {
-                absFreq = Math.abs(audioBuffer[i]);
-                total += ( absFreq * absFreq );
+            for (i = 0; i < frames; i++) {
+                total += samples[i * channels + c];
             }
 
-            rms = Math.sqrt(total / length);
-            decibel = _getDecibelFromAmplitude(rms);
-
-
-            return decibel;
+            offsets.push(frames > 0 ? total / frames : 0);
         }
-        catch (e) {
-            _callErrorCB("_getAudioLevels exception: " + e);
-            _callSpeechStatusCB(STATUS.SPEECH_ERROR);
+
+        for (i = 0; i < frames * channels; i++) {
+            samples[i] -= offsets[i % channels];
         }
 
-        return null;
+        return offsets;
     };
 
-
     /**
-     * Convert amplitude to decibel
+     * Returns the integrated loudness (LUFS) of the audio according to ITU-R BS.1770, using K-weighting and gating.
+     * All channels are weighted equally. Audio shorter than the block length is measured as a single block.
      *
-     * @param amplitudeLevel
      * @returns {number}
-     * @private
      */
-    var _getDecibelFromAmplitude = function (amplitudeLevel) {
-        return 20 * ( Math.log(amplitudeLevel) / Math.log(10) );
-    };
+    var getLoudness = function (samples, sampleRate, channels) {
+        var frames = Math.floor(samples.length / channels),
+            weighted = new Float64Array(frames), // The sum of the squared K-weighted samples of all channels
+            blockFrames = Math.round(LOUDNESS_BLOCK_LENGTH * sampleRate),
+            stepFrames = Math.max(1, Math.round(blockFrames * (1 - LOUDNESS_BLOCK_OVERLAP))),
+            blocks = [],
+            c, i;
+
+        for (c = 0; c < channels; c++) {
+            var filtered = kWeight(samples, sampleRate, c, channels);
+
+            for (i = 0; i < frames; i++) {
+                weighted[i] += filtered[i] * filtered[i];
+            }
+        }
 
+        if (frames < blockFrames) {
+            blockFrames = frames;
+        }
 
-    /**
-     *
-     * @private
-     */
-    var _resetAll = function () {
-        _speakingRightNow = false;
+        for (var start = 0; start + blockFrames <= frames && blockFrames > 0; start += stepFrames) {
+            var total = 0;
 
-        _resetAudioInputQueue();
-        _resetSpeechDetection();
-        _resetAmbientLevels();
+            for (i = start; i < start + blockFrames; i++) {
+                total += weighted[i];
+            }
 
-        _noOfEventsContinue = 0;
-        _noOfEventsStart = 0;
-        _noOfEventsStop = 0;
-        _noOfEventsMax = 0;
-        _noOfEventsMin = 0;
-        _totalNumOfSpeechChunks = 0;
+            blocks.push(total / blockFrames);
+        }
 
-        _audioInputEvents = 0;
-        _analyzeIterations = 0;
-        _getNextBufferIterations = 0;
-        _lastAudioLevel = -50;
-        _currentThreshold = 0;
+        var gated = gate(blocks, LOUDNESS_ABSOLUTE_GATE);
 
-        _audioInputDataTotal = 0;
+        return gate(gated.blocks, gated.loudness + LOUDNESS_RELATIVE_GATE).loudness;
     };
 
-
     /**
-     *
-     * @private
+     * Returns the blocks above the threshold (LUFS), and their loudness.
      */
-    var _resetAmbientLevels = function () {
-        _ambientTotal = 0;
-        _ambientAverageLevel = 0;
-        _silentIterations = 0;
+    var gate = function (blocks, threshold) {
+        var result = [],
+            total = 0;
+
+        for (var i = 0; i < blocks.length; i++) {
+            if (toLoudness(blocks[i]) > threshold) {
+                result.push(blocks[i]);
+                total += blocks[i];
+            }
+        }
+
+        return {
+            blocks: result,
+            loudness: result.length > 0 ? toLoudness(total / result.length) : -Infinity
+        };
     };
 
+    var toLoudness = function (meanSquare) {
+        return -0.691 + 10 * Math.log(meanSquare) / Math.LN10;
+    };
 
     /**
+     * Applies the K-weighting filter (a high shelf followed by a high-pass) of ITU-R BS.1770 to one channel. The filter
+     * coefficients are calculated for the sample rate.
      *
-     * @private
+     * @returns {Float64Array}
      */
-    var _resetAudioInputQueue = function () {
-        _audioDataQueue = [];
-    };
+    var kWeight = function (samples, sampleRate, channel, channels) {
+        var frames = Math.floor(samples.length / channels),
+            result = new Float64Array(frames),
+            i;
+
+        // High shelf
+        var K = Math.tan(Math.PI * 1681.974450955533 / sampleRate),
+            Q = 0.7071752369554196,
+            Vh = Math.pow(10, 3.999843853973347 / 20),
+            Vb = Math.pow(Vh, 0.4996667741545416),
+            a0 = 1 + K / Q + K * K,
+            shelf = {
+                b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+                a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+            };
 
+        // High-pass
+        K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        Q = 0.5003270373238773;
+        a0 = 1 + K / Q + K * K;
 
-    /**
-     *
-     * @private
-     */
-    var _resetSpeechDetection = function () {
-        _currentSpeechHistory = new Float32Array(0);
-        _currentSpeechLength = 0;
-        _noSpeechPeriod = 0;
-    };
+        var highPass = {
+            b: [1, -2, 1],
+            a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+        };
+
+        for (i = 0; i < frames; i++) {
+            result[i] = samples[i * channels + channel];
+        }
 
+        biquad(result, shelf);
+        biquad(result, highPass);
 
-    /**
-     *
-     * @private
-     */
-    var _stopSpeech = function () {
-        _speakingRightNow = false;
-        _callSpeechStatusCB(STATUS.SPEECH_STOPPED);
+        return result;
     };
 
-
     /**
-     *
-     * @private
+     * Filters the values in place with a biquad (direct form II transposed).
      */
-    var _startSpeech = function () {
-        _speakingRightNow = true;
-        _callSpeechStatusCB(STATUS.SPEECH_STARTED);
+    var biquad = function (values, coefficients) {
+        var b = coefficients.b,
+            a = coefficients.a,
+            z1 = 0,
+            z2 = 0;
+
+        for (var i = 0; i < values.length; i++) {
+            var x = values[i],
+                y = b[0] * x + z1;
+
+            z1 = b[1] * x - a[0] * y + z2;
+            z2 = b[2] * x - a[1] * y;
+            values[i] = y;
+        }
     };
 
+    var applyGain = function (samples, gain) {
+        for (var i = 0; i < samples.length; i++) {
+            samples[i] *= gain;
+        }
+    };
 
     /**
+     * Soft limiter: samples above the threshold are smoothly compressed (using tanh), so that they never reach full
+     * scale, instead of being clipped when encoded.
      *
-     * @param speechData
-     * @private
+     * @param samples
+     * @param {number} threshold - Linear amplitude (0-1)
+     * @returns {int} The number of samples that were limited
      */
-    var _startSpeechEvent = function (speechData) {
-        _noOfEventsStart++;
-        _startSpeech();
-        _resetSpeechDetection();
-        _continueSpeechEvent(speechData, false);
+    var limit = function (samples, threshold) {
+        var headroom = 1 - threshold,
+            count = 0;
+
+        for (var i = 0; i < samples.length; i++) {
+            var s = samples[i],
+                abs = Math.abs(s);
+
+            if (abs > threshold) {
+                var e = Math.exp(-2 * (abs - threshold) / headroom),
+                    limited = threshold + headroom * (1 - e) / (1 + e);
+
+                samples[i] = s < 0 ? -limited : limited;
+                count++;
+            }
+        }
+
+        return count;
     };
 
+    var getPeak = function (samples) {
+        var peak = 0;
 
-    /**
-     *
-     * @param speechData
-     * @param silent true if this continue event is considered silent
-     * @private
-     */
-    var _continueSpeechEvent = function (speechData, silent) {
-        _noOfEventsContinue++;
-        _appendSpeechToHistory(speechData);
-        if (!silent) {
-            _noSpeechPeriod = 0;
+        for (var i = 0; i < samples.length; i++) {
+            peak = Math.max(peak, Math.abs(samples[i]));
         }
+
+        return peak;
     };
 
+    var toDecibel = function (amplitude) {
+        return 20 * Math.log(amplitude) / Math.LN10;
+    };
 
-    /**
-     *
-     * @param speechData
-     * @private
-     */
-    var _maximumLengthSpeechEvent = function (speechData) {
-        _noOfEventsMax++;
-        _stopSpeechEvent(speechData);
-        _callSpeechStatusCB(STATUS.SPEECH_MAX_LENGTH);
+    return {
+        process: process,
+        removeDCOffset: removeDCOffset,
+        getLoudness: getLoudness,
+        limit: limit
     };
+})();
+
 
+/*
+ * Encode data to compressed formats: FLAC (pure JavaScript) and Ogg Opus (using the WebCodecs AudioEncoder where
+ * supported). The factory is stringified into the encoder Web Worker, so it must not reference anything outside itself.
+ */
+var createAudioEncoder = function () {
+    var FLAC_BLOCK_SIZE = 4096,
+        FLAC_MAX_FIXED_ORDER = 4,
+        FLAC_MAX_PARTITION_ORDER = 8,
+        OPUS_SAMPLE_RATE = 48000,
+        OPUS_DEFAULT_PRE_SKIP = 312;
 
     /**
+     * Encodes the audio according to the job, and calls onComplete with an ArrayBuffer and the mime type.
      *
-     * @param speechData
-     * @private
+     * @param job - {format: 'flac'|'opus', samples: Float32Array, sampleRate, channels, bitrate}
+     * @param onComplete - function (arrayBuffer, mimeType)
+     * @param onError - function (message)
      */
-    var _stopSpeechEvent = function (speechData) {
-        _noOfEventsStop++;
-        _handleAudioBufferCreation(speechData);
-        _stopSpeech();
-        _resetSpeechDetection();
+    var encode = function (job, onComplete, onError) {
+        try {
+            if (job.format === 'flac') {
+                onComplete(encodeFlac(job.samples, job.sampleRate, job.channels).buffer, 'audio/flac');
+            }
+            else if (job.format === 'opus') {
+                encodeOggOpus(job.samples, job.sampleRate, job.channels, job.bitrate, function (data) {
+                    onComplete(data.buffer, 'audio/ogg; codecs=opus');
+                }, onError);
+            }
+            else {
+                onError("Unknown encoding format: " + job.format);
+            }
+        }
+        catch (e) {
+            onError("Encoding exception: " + e);
+        }
     };
 
 
     /**
+     * Writes individual bits, most significant bit first.
      *
-     * @param speechData
-     * @private
+     * @param {int} capacity - The initial capacity in bytes
+     * @constructor
      */
-    var _appendSpeechToHistory = function (speechData) {
-        if (!_cfg.detectOnly) {
-            _currentSpeechHistory = _currentSpeechHistory.concat(speechData);
+    var BitWriter = function (capacity) {
+        this.bytes = new Uint8Array(capacity);
+        this.pos = 0;
+        this.bitPos = 0;
+    };
+
+    BitWriter.prototype.ensure = function (bytes) {
+        if (this.pos + bytes >= this.bytes.length) {
+            var grown = new Uint8Array(Math.max(this.bytes.length * 2, this.pos + bytes + 1));
+            grown.set(this.bytes);
+            this.bytes = grown;
         }
-        _currentSpeechLength++;
     };
 
+    BitWriter.prototype.writeBit = function (bit) {
+        if (this.bitPos === 0) {
+            this.ensure(1);
+        }
 
-    /**
-     *
-     * @param speechData
-     * @private
-     */
-    var _handleAudioBufferCreation = function (speechData) {
+        if (bit) {
+            this.bytes[this.pos] |= 0x80 >>> this.bitPos;
+        }
 
-        // Was the speech long enough to create an audio buffer?
-        if (_currentSpeechLength > _speechMinimumLengthChunks) {
-            var preEncodingBuffer = speechData.slice(0); // Create a copy
+        if (++this.bitPos === 8) {
+            this.bitPos = 0;
+            this.pos++;
+        }
+    };
 
-            switch (_cfg.audioResultType) {
-                case AUDIO_RESULT_TYPE.WEBAUDIO_AUDIOBUFFER:
-                    _createWebAudioBuffer(preEncodingBuffer);
-                    break;
-                case AUDIO_RESULT_TYPE.RAW_DATA:
-                    _callSpeechCapturedCB(preEncodingBuffer);
-                    break;
-                case AUDIO_RESULT_TYPE.DETECTION_ONLY:
-                    // We just ignore this, since we are in detection only mode.
-                    break;
-                default:
-                case AUDIO_RESULT_TYPE.WAV_BLOB:
-                    _createWAVAudioBuffer(preEncodingBuffer);
-                    break;
-            }
+    BitWriter.prototype.writeBits = function (value, bits) {
+        for (var i = bits - 1; i >= 0; i--) {
+            this.writeBit((value >>> i) & 1);
         }
-        else {
-            _noOfEventsMin++;
-            _callSpeechStatusCB(STATUS.SPEECH_MIN_LENGTH);
+    };
+
+    BitWriter.prototype.writeUnary = function (zeros) {
+        for (var i = 0; i < zeros; i++) {
+            this.writeBit(0);
+        }
+        this.writeBit(1);
+    };
+
+    BitWriter.prototype.alignToByte = function () {
+        if (this.bitPos > 0) {
+            this.bitPos = 0;
+            this.pos++;
         }
     };
 
+    BitWriter.prototype.getBytes = function () {
+        this.alignToByte();
+        return this.bytes.slice(0, this.pos);
+    };
+
 
     /**
+     * Encodes the audio as 16-bit FLAC, using the fixed linear predictors and Rice coded residuals.
      *
-     * @param rawAudioBuffer
-     * @private
+     * @param {Float32Array} samples - The audio, interleaved if more than one channel
+     * @param {int} sampleRate
+     * @param {int} channels - 1 to 8
+     * @returns {Uint8Array}
      */
-    var _createWAVAudioBuffer = function (rawAudioBuffer) {
-        try {
-            _showConsoleLog("_createWAVAudioBuffer: " + rawAudioBuffer.length);
-
-            /**
-             *
-             * @param audioBuffer
-             */
-            var funcEncodeAudioBufferToWAVDataAndCallCB = function (audioBuffer) {
-                try {
-                    var rawAudioBuffer = null;
-                    if (_cfg.channels === 1) {
-                        rawAudioBuffer = audioBuffer.getChannelData(0);
-                    }
-                    else if (_cfg.channels === 2) {
-                        rawAudioBuffer = wavEncoder.interleave(audioBuffer.getChannelData(0), audioBuffer.getChannelData(1))
-                    }
-                    else {
-                        _callErrorCB("_createWAVAudioBuffer doesn't support more than two (2) channels!");
-                        _callSpeechStatusCB(STATUS.ENCODING_ERROR);
-                        return;
-                    }
-
-                    var wavData = wavEncoder.encode(rawAudioBuffer, _cfg.sampleRate, _cfg.channels);
-
-                    _callSpeechCapturedCB(new Blob([wavData], {
-                        type: 'audio/wav'
-                    }));
-                }
-                catch (ex) {
-                    _callErrorCB("_createWAVAudioBuffer (with resampling) exception: " + ex);
-                    _callSpeechStatusCB(STATUS.ENCODING_ERROR);
-                }
-            };
+    var encodeFlac = function (samples, sampleRate, channels) {
+        var numChannels = channels || 1,
+            numFrames = Math.floor(samples.length / numChannels),
+            writer = new BitWriter(samples.length * 2 + 1024),
+            frameNumber = 0,
+            c, i;
+
+        if (numChannels > 8) {
+            throw "FLAC supports at most 8 channels";
+        }
 
-            /**
-             *
-             * @param rawAudioBuffer
-             */
-            var funcEncodeRawAudioBufferToWAVDataAndCallCB = function (rawAudioBuffer) {
-                try {
-                    var wavData = wavEncoder.encode(rawAudioBuffer, _cfg.sampleRate, _cfg.channels);
+        // Stream marker and STREAMINFO
+        writer.writeBits(0x664C6143, 32); // fLaC
+        writer.writeBits(1, 1); // Last metadata block
+        writer.writeBits(0, 7); // STREAMINFO
+        writer.writeBits(34, 24);
+        writer.writeBits(FLAC_BLOCK_SIZE, 16); // Minimum block size
+        writer.writeBits(FLAC_BLOCK_SIZE, 16); // Maximum block size
+        writer.writeBits(0, 24); // Minimum frame size, unknown
+        writer.writeBits(0, 24); // Maximum frame size, unknown
+        writer.writeBits(sampleRate, 20);
+        writer.writeBits(numChannels - 1, 3);
+        writer.writeBits(15, 5); // Bits per sample - 1
+        writer.writeBits(Math.floor(numFrames / 0x100000000), 4); // Total samples, upper bits
+        writer.writeBits(numFrames % 0x100000000, 32);
+
+        for (i = 0; i < 4; i++) {
+            writer.writeBits(0, 32); // MD5, unknown
+        }
 
-                    _callSpeechCapturedCB(new Blob([wavData], {
-                        type: 'audio/wav'
-                    }));
-                }
-                catch (ex) {
-                    _callErrorCB("_createWAVAudioBuffer exception: " + ex);
-                    _callSpeechStatusCB(STATUS.ENCODING_ERROR);
+        for (var start = 0; start < numFrames; start += FLAC_BLOCK_SIZE) {
+            var blockSize = Math.min(FLAC_BLOCK_SIZE, numFrames - start),
+                frameStart = writer.pos;
+
+            // Frame header
+            writer.writeBits(0xFFF8, 16); // Sync code, fixed block size
+            writer.writeBits(7, 4); // Block size - 1 follows as 16 bits
+            writer.writeBits(0, 4); // Sample rate from STREAMINFO
+            writer.writeBits(numChannels - 1, 4); // Independent channels
+            writer.writeBits(4, 3); // 16 bits per sample
+            writer.writeBits(0, 1);
+            writeUTF8Number(writer, frameNumber++);
+            writer.writeBits(blockSize - 1, 16);
+            writer.writeBits(crc8(writer.bytes, frameStart, writer.pos), 8);
+
+            for (c = 0; c < numChannels; c++) {
+                var block = new Int32Array(blockSize);
+
+                for (i = 0; i < blockSize; i++) {
+                    var s = Math.max(-1, Math.min(1, samples[(start + i) * numChannels + c]));
+                    block[i] = (s < 0 ? s * 0x8000 : s * 0x7FFF) | 0;
                 }
-            };
 
-            if (_cfg.inputSampleRate !== _cfg.sampleRate) {
-                if (_webAudioAPISupported) {
-                    var audioBuffer = _createAudioBufferFromRawData(rawAudioBuffer);
-                    ReSampler.resampleAudioBuffer(audioBuffer, _cfg.sampleRate, funcEncodeAudioBufferToWAVDataAndCallCB, _callErrorCB);
-                }
-                else {
-                    _callErrorCB("_createWAVAudioBuffer (with resampling) failed since Web Audio API isn't supported. " +
-                        "Remove the 'samplerate' from the start configuration in order to use the default samplerate of " +
-                        "the platform and avoid this error.");
-                    _callSpeechStatusCB(STATUS.RESAMPLING_UNSUPPORTED);
-                }
-            }
-            else {
-                funcEncodeRawAudioBufferToWAVDataAndCallCB(rawAudioBuffer);
+                writeFlacSubframe(writer, block);
             }
+
+            // Frame footer
+            writer.alignToByte();
+            writer.writeBits(crc16(writer.bytes, frameStart, writer.pos), 16);
         }
-        catch (e) {
-            _callErrorCB("_createWAVAudioBuffer exception: " + e);
-            _callSpeechStatusCB(STATUS.ENCODING_ERROR);
-        }
-    };
 
+        return writer.getBytes();
+    };
 
     /**
+     * Writes the subframe of one channel, using the cheapest of constant, fixed prediction or verbatim.
      *
-     * @param rawAudioBuffer
-     * @private
+     * @param writer
+     * @param {Int32Array} block
      */
-    var _createWebAudioBuffer = function (rawAudioBuffer) {
-        try {
-            _showConsoleLog("_createWebAudioBuffer: " + rawAudioBuffer.length);
+    var writeFlacSubframe = function (writer, block) {
+        var blockSize = block.length,
+            isConstant = true,
+            i;
 
-            var audioBuffer = _createAudioBufferFromRawData(rawAudioBuffer);
+        for (i = 1; i < blockSize && isConstant; i++) {
+            isConstant = block[i] === block[0];
+        }
 
-            if (audioBuffer.inputSampleRate !== _cfg.sampleRate) {
-                try {
-                    _showConsoleLog("_createWebAudioBuffer - Resample audio from " + _cfg.inputSampleRate + " to " + _cfg.sampleRate + ": " + rawAudioBuffer.length);
-                    ReSampler.resampleAudioBuffer(audioBuffer, _cfg.sampleRate, _callSpeechCapturedCB, _callErrorCB);
-                }
-                catch (e) {
-                    _callErrorCB("_createWebAudioBuffer resampling exception: " + e);
-                    _callSpeechStatusCB(STATUS.RESAMPLING_ERROR);
-                }
+        if (isConstant) {
+            writer.writeBits(0, 8); // SUBFRAME_CONSTANT
+            writer.writeBits(block[0], 16);
+            return;
+        }
+
+        // Choose the fixed predictor order with the smallest residuals
+        var bestOrder = -1,
+            bestSum = Infinity,
+            maxOrder = Math.min(FLAC_MAX_FIXED_ORDER, blockSize - 1);
+
+        for (var order = 0; order <= maxOrder; order++) {
+            var sum = 0,
+                residual = getFixedResidual(block, order);
+
+            for (i = 0; i < residual.length; i++) {
+                sum += Math.abs(residual[i]);
             }
-            else {
-                _callSpeechCapturedCB(audioBuffer);
+
+            if (sum < bestSum) {
+                bestSum = sum;
+                bestOrder = order;
             }
         }
-        catch (e) {
-            _callErrorCB("_createWebAudioBuffer exception: " + e);
-            _callSpeechStatusCB(STATUS.ENCODING_ERROR);
+
+        var bestResidual = getFixedResidual(block, bestOrder),
+            rice = chooseRicePartitions(bestResidual, blockSize, bestOrder),
+            fixedBits = bestOrder * 16 + 6 + rice.bits;
+
+        if (fixedBits >= blockSize * 16) {
+            writer.writeBits(2, 8); // SUBFRAME_VERBATIM
+            for (i = 0; i < blockSize; i++) {
+                writer.writeBits(block[i], 16);
+            }
+            return;
         }
-    };
 
+        writer.writeBits((8 + bestOrder) << 1, 8); // SUBFRAME_FIXED
 
-    /**
-     *
-     * @param rawAudioBuffer
-     * @returns {AudioBuffer}
-     * @private
-     */
-    var _createAudioBufferFromRawData = function (rawAudioBuffer) {
+        for (i = 0; i < bestOrder; i++) {
+            writer.writeBits(block[i], 16); // Warm-up samples
+        }
 
-        var audioBuffer = getAudioContext().createBuffer(_captureCfg.channels, (rawAudioBuffer.length / _captureCfg.channels),
-            _cfg.inputSampleRate);
+        writer.writeBits(0, 2); // Rice coding with 4-bit parameters
+        writer.writeBits(rice.order, 4);
 
-        if (_captureCfg.channels > 1) {
-            for (var i = 0; i < _captureCfg.channels; i++) {
-                var chdata = [],
-                    index = 0;
+        var partitionSize = blockSize >> rice.order,
+            idx = 0;
 
-                while (index < rawAudioBuffer.length) {
-                    chdata.push(rawAudioBuffer[index + i]);
-                    index += parseInt(_captureCfg.channels);
-                }
+        for (var p = 0; p < rice.parameters.length; p++) {
+            var count = p === 0 ? partitionSize - bestOrder : partitionSize,
+                k = rice.parameters[p];
+
+            writer.writeBits(k, 4);
 
-                audioBuffer.getChannelData(i).set(new Float32Array(chdata));
+            for (i = 0; i < count; i++, idx++) {
+                var r = bestResidual[idx],
+                    u = r >= 0 ? r * 2 : -r * 2 - 1;
+
+                writer.writeUnary(u >>> k);
+                writer.writeBits(u & ((1 << k) - 1), k);
             }
         }
-        else {
-            // For just one channels (mono)
-            audioBuffer.getChannelData(0).set(rawAudioBuffer);
+    };
+
+    /**
+     * Returns the residual of the fixed predictor of the given order, excluding the warm-up samples.
+     */
+    var getFixedResidual = function (block, order) {
+        var residual = new Int32Array(block.length - order),
+            i;
+
+        for (i = order; i < block.length; i++) {
+            switch (order) {
+                case 0:
+                    residual[i] = block[i];
+                    break;
+                case 1:
+                    residual[i - 1] = block[i] - block[i - 1];
+                    break;
+                case 2:
+                    residual[i - 2] = block[i] - 2 * block[i - 1] + block[i - 2];
+                    break;
+                case 3:
+                    residual[i - 3] = block[i] - 3 * block[i - 1] + 3 * block[i - 2] - block[i - 3];
+                    break;
+                case 4:
+                    residual[i - 4] = block[i] - 4 * block[i - 1] + 6 * block[i - 2] - 4 * block[i - 3] + block[i - 4];
+                    break;
+            }
         }
 
-        return audioBuffer;
+        return residual;
     };
 
-
     /**
-     * Creates the Web Audio Context if needed
-     * @private
+     * Chooses the partition order and the Rice parameter of each partition that gives the fewest bits.
+     *
+     * @returns {{order: int, parameters: Array, bits: number}}
      */
-    var _initWebAudio = function (audioCtxFromCfg, preferGUM) {
-        try {
-            _webAudioAPISupported = false;
+    var chooseRicePartitions = function (residual, blockSize, predictorOrder) {
+        var best = null;
 
-            window.AudioContext = window.AudioContext || window.webkitAudioContext;
+        for (var order = 0; order <= FLAC_MAX_PARTITION_ORDER; order++) {
+            var partitionSize = blockSize >> order;
 
-            if (audioCtxFromCfg) {
-                _showConsoleLog("Using Audio Context provided in cfg.");
-                _audioContext = audioCtxFromCfg;
-                _webAudioAPISupported = true;
-            }
-            else if (!_audioContext) {
-                _showConsoleLog("Creating new Audio Context.");
-                _audioContext = new window.AudioContext();
-                _webAudioAPISupported = true;
-            }
-            else if (_audioContext) {
-                _webAudioAPISupported = true;
+            if ((partitionSize << order) !== blockSize || partitionSize <= predictorOrder) {
+                break;
             }
 
-            //noinspection JSUnresolvedVariable
-            _getUserMedia = (navigator.getUserMedia || navigator.webkitGetUserMedia ||
-            navigator.mozGetUserMedia || navigator.msGetUserMedia).bind(navigator);
+            var parameters = [],
+                bits = 0,
+                idx = 0;
 
-            if (_getUserMedia) {
-                _getUserMediaSupported = true;
+            for (var p = 0; p < (1 << order); p++) {
+                var count = p === 0 ? partitionSize - predictorOrder : partitionSize,
+                    cost = chooseRiceParameter(residual, idx, count);
 
-                //noinspection JSUnresolvedVariable
-                if (preferGUM || !_cfg.audioinputPluginActive || !window.audioinput) {
-                    _getUserMediaMode = true;
-                    _cfg.inputSampleRate = _audioContext.sampleRate;
-                    _showConsoleLog("The current Audio Context samplerate is: " + _cfg.inputSampleRate);
-                }
-            }
-            else {
-                _showConsoleLog("navigator.(webkit)getUserMedia is not supported on this platform.");
+                parameters.push(cost.k);
+                bits += 4 + cost.bits;
+                idx += count;
             }
 
-            return true;
-        }
-        catch (e) {
-            return false;
+            if (!best || bits < best.bits) {
+                best = {order: order, parameters: parameters, bits: bits};
+            }
         }
+
+        return best;
     };
 
     /**
-     *
-     * @returns {boolean}
+     * Returns the Rice parameter with the fewest bits for the residuals, starting from an estimate using their mean.
      */
-    var _startMediaStreamSource = function () {
-        if (_getUserMedia && _getUserMediaMode) {
-            try {
-                _getUserMedia({
-                    video: false,
-                    audio: true
-                }, function (stream) {
-                    try {
-                        _mediaStream = _audioContext.createMediaStreamSource(stream);
+    var chooseRiceParameter = function (residual, start, count) {
+        var sum = 0,
+            i;
 
-                        _streamSourceProcessor = _audioContext.createScriptProcessor(_cfg.bufferSize, 1, 1);
+        for (i = start; i < start + count; i++) {
+            sum += residual[i] >= 0 ? residual[i] * 2 : -residual[i] * 2 - 1;
+        }
 
-                        _streamSourceProcessor.onaudioprocess = function (audioProcessingEvent) {
-                            if (_getUserMediaRunning) {
-                                try {
-                                    _audioInputEvents++;
-                                    _audioDataQueue.push(audioProcessingEvent.inputBuffer.getChannelData(0));
-                                }
-                                catch (e) {
-                                    _captureStopped();
-                                    _callErrorCB("_startMediaStreamSource.onaudioprocess exception: " + e);
-                                }
-                            }
-                        };
+        var mean = count > 0 ? sum / count : 0,
+            estimate = mean > 1 ? Math.floor(Math.log(mean) / Math.LN2) : 0,
+            best = null;
 
-                        _mediaStream.connect(_streamSourceProcessor);
-                        _streamSourceProcessor.connect(_audioContext.destination);
+        for (var k = Math.max(0, estimate - 1); k <= Math.min(14, estimate + 1); k++) {
+            var bits = count * (k + 1);
 
-                        _captureStarted();
-                        _getNextBuffer();
-                    }
-                    catch (e) {
-                        _callErrorCB("_startMediaStreamSource getUserMedia exception: " + e);
-                        _captureStopped();
-                    }
-                }, function (error) {
-                    _callErrorCB("_startMediaStreamSource - Failed to get MediaStream: " + error);
-                    _captureStopped();
-                });
+            for (i = start; i < start + count; i++) {
+                bits += (residual[i] >= 0 ? residual[i] * 2 : -residual[i] * 2 - 1) >>> k;
             }
-            catch (e) {
-                _callErrorCB("_startMediaStreamSource exception: " + e);
-                _captureStopped();
+
+            if (!best || bits < best.bits) {
+                best = {k: k, bits: bits};
             }
         }
-        else {
-            throw("error: GetUserMedia is not supported!");
+
+        return best;
+    };
+
+    var writeUTF8Number = function (writer, value) {
+        if (value < 0x80) {
+            writer.writeBits(value, 8);
+            return;
         }
-    };
 
+        var continuationBytes = value < 0x800 ? 1 : value < 0x10000 ? 2 : value < 0x200000 ? 3 : value < 0x4000000 ? 4 : 5,
+            firstBits = 6 - continuationBytes;
 
-    /**
-     *
-     * @private
-     */
-    var _captureStopped = function () {
-        if (_getUserMediaMode) {
-            _getUserMediaRunning = false;
-            if (_streamSourceProcessor) {
-                _streamSourceProcessor.onaudioprocess = null;
-            }
-            _streamSourceProcessor = null;
-            _callSpeechStatusCB(STATUS.CAPTURE_STOPPED);
+        // The leading byte has one 1 bit per byte, followed by a 0 bit
+        writer.writeBits(((1 << (continuationBytes + 1)) - 1) << 1, continuationBytes + 2);
+        writer.writeBits(Math.floor(value / Math.pow(2, continuationBytes * 6)), firstBits);
+
+        for (var i = continuationBytes - 1; i >= 0; i--) {
+            writer.writeBits(2, 2);
+            writer.writeBits(Math.floor(value / Math.pow(2, i * 6)) & 0x3F, 6);
         }
     };
 
+    var crc8 = function (bytes, start, end) {
+        var crc = 0;
 
-    /**
-     *
-     * @private
-     */
-    var _captureStarted = function () {
-        if (_getUserMediaMode) {
-            _getUserMediaRunning = true;
+        for (var i = start; i < end; i++) {
+            crc ^= bytes[i];
+
+            for (var j = 0; j < 8; j++) {
+                crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+            }
         }
 
-        _callSpeechStatusCB(STATUS.CAPTURE_STARTED);
+        return crc;
     };
 
+    var crc16 = function (bytes, start, end) {
+        var crc = 0;
 
-    /**
-     *
-     * @returns {*}
-     * @private
-     */
-    var _captureRunning = function () {
-        if (_getUserMediaMode) {
-            return _getUserMediaRunning;
-        }
-        else { //noinspection JSUnresolvedVariable
-            if (_cfg.audioinputPluginActive && window.audioinput) {
-                //noinspection JSUnresolvedVariable
-                return audioinput.isCapturing();
-            }
-            else {
-                return false;
+        for (var i = start; i < end; i++) {
+            crc ^= bytes[i] << 8;
+
+            for (var j = 0; j < 8; j++) {
+                crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xFFFF : (crc << 1) & 0xFFFF;
             }
         }
+
+        return crc;
     };
 
 
     /**
+     * Returns true if the WebCodecs AudioEncoder, used for encoding Opus, is available.
      *
-     * @param message
+     * @returns {boolean}
      */
-    var _showAlert = function (message) {
-        if (_cfg.debugAlerts && message) {
-            alert(message);
-        }
+    var isOpusSupported = function () {
+        return typeof AudioEncoder !== "undefined" && typeof AudioData !== "undefined";
     };
 
 
     /**
+     * Encodes the audio as Opus using the WebCodecs AudioEncoder, and packs it in an Ogg container.
      *
-     * @param message
+     * @param {Float32Array} samples - The audio, interleaved if more than one channel
+     * @param {int} sampleRate
+     * @param {int} channels - 1 or 2
+     * @param {int} bitrate - bits/s
+     * @param onComplete - function (Uint8Array)
+     * @param onError - function (message)
      */
-    var _showConsoleLog = function (message) {
-        if (_cfg.debugConsole && message) {
-            console.log(message);
+    var encodeOggOpus = function (samples, sampleRate, channels, bitrate, onComplete, onError) {
+        var numChannels = channels || 1,
+            packets = [],
+            preSkip = OPUS_DEFAULT_PRE_SKIP,
+            failed = false;
+
+        if (!isOpusSupported()) {
+            onError("Opus encoding requires WebCodecs AudioEncoder support, which is not available on this platform");
+            return;
         }
-    };
 
+        if (numChannels > 2) {
+            onError("Ogg Opus encoding supports at most 2 channels");
+            return;
+        }
 
-    return {
-        STATUS: STATUS,
-        AUDIO_RESULT_TYPE: AUDIO_RESULT_TYPE,
-        DEFAULT: DEFAULT,
+        var fail = function (error) {
+            if (!failed) {
+                failed = true;
+                onError("Opus encoding failed: " + error);
+            }
+        };
 
-        start: start,
-        stop: stop,
-        isCapturing: isCapturing,
-        getCurrentVolume: getCurrentVolume,
-        isSpeakingRightNow: isSpeakingRightNow,
-        getCfg: getCfg,
-        getMonitoringData: getMonitoringData,
-        getAudioContext: getAudioContext,
-        getLastErrorCode: getLastErrorCode,
+        var encoder = new AudioEncoder({
+            output: function (chunk, metadata) {
+                var data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
 
-        onAudioInputCapture: onAudioInputCapture,
-        onAudioInputError: onAudioInputError
-    };
-})
-();
+                packets.push({
+                    data: data,
+                    samples: Math.round((chunk.duration || 20000) * OPUS_SAMPLE_RATE / 1000000)
+                });
 
+                // Use the pre-skip of the encoder if it provides an OpusHead
+                var description = metadata && metadata.decoderConfig && metadata.decoderConfig.description;
+                if (description && description.byteLength >= 12) {
+                    var head = new Uint8Array(description.buffer || description, description.byteOffset || 0);
+                    preSkip = head[10] | (head[11] << 8);
+                }
+            },
+            error: fail
+        });
 
-/******************************************************************************************************************
- * Other functionality needed by the library
- *****************************************************************************************************************/
+        try {
+            encoder.configure({
+                codec: 'opus',
+                sampleRate: sampleRate,
+                numberOfChannels: numChannels,
+                bitrate: bitrate
+            });
+
+            encoder.encode(new AudioData({
+                format: 'f32',
+                sampleRate: sampleRate,
+                numberOfFrames: Math.floor(samples.length / numChannels),
+                numberOfChannels: numChannels,
+                timestamp: 0,
+                data: samples
+            }));
+
+            encoder.flush().then(function () {
+                encoder.close();
+
+                if (!failed) {
+                    var totalSamples = Math.round(Math.floor(samples.length / numChannels) * OPUS_SAMPLE_RATE / sampleRate);
+                    onComplete(createOggOpus(packets, numChannels, sampleRate, preSkip, totalSamples));
+                }
+            }, fail);
+        }
+        catch (e) {
+            fail(e);
+        }
+    };
 
-/*
- Shim for Float32Array.prototype.slice
- */
-if (!Float32Array.prototype.slice) {
     /**
-     * If not supported: Adds slice to Float32Array
+     * Packs the Opus packets in Ogg pages, preceded by the OpusHead and OpusTags headers.
      *
-     * @param begin - From which index to start
-     * @param end - To which index to end
-     * @returns {Float32Array} - The sliced part of the array
+     * @returns {Uint8Array}
      */
-    Float32Array.prototype.slice = function (begin, end) {
-        if (!end) {
-            end = this.length;
+    var createOggOpus = function (packets, channels, inputSampleRate, preSkip, totalSamples) {
+        var serial = Math.floor(Math.random() * 0xFFFFFFFF),
+            pages = [],
+            vendor = 'speechcapture',
+            head = new Uint8Array(19),
+            tags = new Uint8Array(8 + 4 + vendor.length + 4),
+            headView = new DataView(head.buffer),
+            tagsView = new DataView(tags.buffer),
+            i;
+
+        writeAscii(head, 0, 'OpusHead');
+        head[8] = 1; // Version
+        head[9] = channels;
+        headView.setUint16(10, preSkip, true);
+        headView.setUint32(12, inputSampleRate, true);
+        headView.setInt16(16, 0, true); // Output gain
+        head[18] = 0; // Channel mapping family
+
+        writeAscii(tags, 0, 'OpusTags');
+        tagsView.setUint32(8, vendor.length, true);
+        writeAscii(tags, 12, vendor);
+        tagsView.setUint32(12 + vendor.length, 0, true); // No user comments
+
+        pages.push(createOggPage([head], 0, serial, 0, 0x02));
+        pages.push(createOggPage([tags], 0, serial, 1, 0));
+
+        var pageData = [],
+            pageSegments = 0,
+            granule = preSkip,
+            endGranule = preSkip + totalSamples;
+
+        for (i = 0; i < packets.length; i++) {
+            var segments = Math.floor(packets[i].data.length / 255) + 1;
+
+            if (pageSegments + segments > 255) {
+                pages.push(createOggPage(pageData, Math.min(granule, endGranule), serial, pages.length, 0));
+                pageData = [];
+                pageSegments = 0;
+            }
+
+            pageData.push(packets[i].data);
+            pageSegments += segments;
+            granule += packets[i].samples;
         }
-        var target = new Float32Array(end - begin);
-        for (var i = 0; i < begin + end; ++i) {
-            target[i] = this[begin + i];
+
+        pages.push(createOggPage(pageData, endGranule, serial, pages.length, 0x04));
+
+        var length = 0,
+            offset = 0;
+
+        for (i = 0; i < pages.length; i++) {
+            length += pages[i].length;
         }
-        return target;
+
+        var result = new Uint8Array(length);
+
+        for (i = 0; i < pages.length; i++) {
+            result.set(pages[i], offset);
+            offset += pages[i].length;
+        }
+
+        return result;
     };
-}
 
-/*
- Shim for Float32Array.prototype.concat
- */
-if (!Float32Array.prototype.concat) {
     /**
-     * If not supported: Adds concatenate to Float32Array
-     *
-     * @returns {Float32Array} - The resulting array
+     * Creates an Ogg page containing the (complete) packets.
      */
-    Float32Array.prototype.concat = function () {
-        //noinspection JSUnresolvedFunction
-        var bytesPerIndex = 4,
-            buffers = Array.prototype.slice.call(arguments);
+    var createOggPage = function (packets, granule, serial, sequence, headerType) {
+        var segmentTable = [],
+            dataLength = 0,
+            i;
 
-        // add self
-        buffers.unshift(this);
+        for (i = 0; i < packets.length; i++) {
+            var remaining = packets[i].length;
 
-        buffers = buffers.map(function (item) {
-            if (item instanceof Float32Array) {
-                return item.buffer;
-            }
-            else if (item instanceof ArrayBuffer) {
-                if (item.byteLength / bytesPerIndex % 1 !== 0) {
-                    throw new Error('One of the ArrayBuffers is not from a Float32Array');
-                }
-                return item;
-            }
-            else {
-                throw new Error('You can only concat Float32Array, or ArrayBuffers');
+            while (remaining >= 255) {
+                segmentTable.push(255);
+                remaining -= 255;
             }
-        });
 
-        var concatenatedByteLength = buffers
-            .map(function (a) {
-                return a.byteLength;
-            })
-            .reduce(function (a, b) {
-                return a + b;
-            }, 0);
+            segmentTable.push(remaining);
+            dataLength += packets[i].length;
+        }
 
-        var concatenatedArray = new Float32Array(concatenatedByteLength / bytesPerIndex);
+        var page = new Uint8Array(27 + segmentTable.length + dataLength),
+            view = new DataView(page.buffer),
+            offset = 27 + segmentTable.length;
+
+        writeAscii(page, 0, 'OggS');
+        page[4] = 0; // Version
+        page[5] = headerType;
+        view.setUint32(6, granule % 0x100000000, true);
+        view.setUint32(10, Math.floor(granule / 0x100000000), true);
+        view.setUint32(14, serial, true);
+        view.setUint32(18, sequence, true);
+        view.setUint32(22, 0, true); // CRC, calculated below
+        page[26] = segmentTable.length;
+        page.set(segmentTable, 27);
+
+        for (i = 0; i < packets.length; i++) {
+            page.set(packets[i], offset);
+            offset += packets[i].length;
+        }
 
-        var offset = 0;
-        buffers.forEach(function (buffer) {
-            concatenatedArray.set(new Float32Array(buffer), offset);
-            offset += buffer.byteLength / bytesPerIndex;
-        });
+        view.setUint32(22, oggCrc32(page), true);
 
-        return concatenatedArray;
+        return page;
     };
-}
 
-/*
- * Down or upsample an audiobuffer. Define your own ReSampler if you want to override this with something else.
- */
-var ReSampler = (function () {
-    /**
-     *
-     * @param audioBuffer
-     * @param toSampleRate
-     * @param oncomplete
-     * @param onError
-     */
-    var resampleAudioBuffer = function (audioBuffer, toSampleRate, oncomplete, onError) {
-        var numCh = audioBuffer.numberOfChannels;
-        var numFrames = audioBuffer.length * toSampleRate / audioBuffer.sampleRate;
-        var offlineContext_ = new OfflineAudioContext(numCh, numFrames, toSampleRate);
-        var bufferSource_ = offlineContext_.createBufferSource();
-        bufferSource_.buffer = audioBuffer;
+    var oggCrcTable = null;
 
-        offlineContext_.oncomplete = function (event) {
-            try {
-                //noinspection JSUnresolvedVariable
-                var resampledBuffer = event.renderedBuffer;
-                if (oncomplete && typeof oncomplete === 'function') {
-                    oncomplete(resampledBuffer);
-                }
-            }
-            catch (e) {
-                if (onError && typeof onError === 'function') {
-                    onError("ReSampler.resampleAudioBuffer offlineContext_.oncomplete exception: " + e);
+    var oggCrc32 = function (bytes) {
+        var crc = 0,
+            i;
+
+        if (!oggCrcTable) {
+            oggCrcTable = new Uint32Array(256);
+
+            for (i = 0; i < 256; i++) {
+                var r = i << 24;
+
+                for (var j = 0; j < 8; j++) {
+                    r = r & 0x80000000 ? (r << 1) ^ 0x04C11DB7 : r << 1;
                 }
+
+                oggCrcTable[i] = r >>> 0;
             }
-        };
+        }
 
-        bufferSource_.connect(offlineContext_.destination);
-        bufferSource_.start(0);
-        offlineContext_.startRendering();
+        for (i = 0; i < bytes.length; i++) {
+            crc = ((crc << 8) ^ oggCrcTable[((crc >>> 24) ^ bytes[i]) & 0xFF]) >>> 0;
+        }
+
+        return crc;
+    };
+
+    var writeAscii = function (bytes, offset, string) {
+        for (var i = 0; i < string.length; i++) {
+            bytes[offset + i] = string.charCodeAt(i);
+        }
     };
 
     return {
-        resampleAudioBuffer: resampleAudioBuffer
-    }
-})();
+        encode: encode,
+        encodeFlac: encodeFlac,
+        encodeOggOpus: encodeOggOpus,
+        isOpusSupported: isOpusSupported
+    };
+};
+
+var audioEncoder = createAudioEncoder();
 
 
 /*
- * Encode data to WAV format. Define your own 'wavEncode' if you want to override this with something else.
+ * Spectral analysis used by the 'spectral' voice activity detection mode. Define your own 'spectralAnalyzer' if you
+ * want to override this with something else. The factory must be self-contained, since it is also used inside the
+ * AudioWorklet.
  */
-var wavEncoder = (function () {
+var createSpectralAnalyzer = function () {
+
+    var VOICE_BAND_LOW = 300, // Hz
+        VOICE_BAND_HIGH = 3400, // Hz
+        FRAME_LENGTH = 0.025; // S
+
     /**
+     * Returns the probability (0-1) that the samples contain speech, based on the share of energy in the voice band,
+     * the spectral flatness and the zero-crossing rate.
      *
-     * @param samples - The sample array
+     * @param samples - Float32Array
      * @param {int} sampleRate - The sample rate
-     * @param {int} channels - The number of channels
-     * @returns {DataView}
+     * @returns {number}
      */
-    var encode = function (samples, sampleRate, channels) {
-        var numFrames = samples.length,
-            numChannels = channels || 1,
-            bytesPerSample = 2,
-            bitsPerSample = bytesPerSample * 8,
-            blockAlign = numChannels * bytesPerSample,
-            byteRate = sampleRate * blockAlign,
-            dataSize = numFrames * blockAlign;
+    var getSpeechProbability = function (samples, sampleRate) {
+        var features = getFeatures(samples, sampleRate);
 
-        var buffer = new ArrayBuffer(44 + dataSize),
-            view = new DataView(buffer);
+        // Most of the energy of speech is within the voice band
+        var bandScore = clamp((features.voiceBandRatio - 0.2) / 0.4);
 
-        writeString(view, 0, 'RIFF'); // ChunkID
-        view.setUint32(4, 32 + dataSize, true); // Chunk Size
-        writeString(view, 8, 'WAVE'); // Format
-        writeString(view, 12, 'fmt '); // Subchunk1ID
-        view.setUint32(16, 16, true); // Subchunk1Size
-        view.setUint16(20, 1, true); // Audio Format
-        view.setUint16(22, numChannels, true); // Number of channels
-        view.setUint32(24, sampleRate, true); // Sample Rate
-        view.setUint32(28, byteRate, true); // Byte Rate
-        view.setUint16(32, blockAlign, true); // Block Align
-        view.setUint16(34, bitsPerSample, true); // Bits Per Sample
-        writeString(view, 36, 'data'); // Subchunk2ID
-        view.setUint32(40, dataSize, true); // Subchunk2Size
+        // Speech is tonal, while noise has a flat spectrum
+        var flatnessScore = clamp((0.6 - features.spectralFlatness) / 0.4);
 
-        floatTo16BitPCM(view, 44, samples);
+        // Noise and clicks have a high zero-crossing rate
+        var zcrScore = clamp((6000 - features.zeroCrossingRate) / 4000);
 
-        return view;
+        // Sounds without energy in the voice band, such as hum, are never considered as speech
+        return Math.sqrt(bandScore) * (0.6 * flatnessScore + 0.4 * zcrScore);
     };
 
     /**
+     * Calculates the spectral features of the samples.
      *
-     * @param view
-     * @param offset
-     * @param {String} string
+     * @param samples - Float32Array
+     * @param {int} sampleRate - The sample rate
+     * @returns {{voiceBandRatio: number, spectralFlatness: number, zeroCrossingRate: number}}
      */
-    var writeString = function (view, offset, string) {
-        for (var i = 0; i < string.length; i++) {
-            view.setUint8(offset + i, string.charCodeAt(i));
+    var getFeatures = function (samples, sampleRate) {
+        var frameSize = getFrameSize(samples.length, sampleRate),
+            spectrum = getPowerSpectrum(samples, frameSize),
+            binWidth = sampleRate / frameSize,
+            totalEnergy = 0,
+            bandEnergy = 0,
+            logSum = 0,
+            i;
+
+        // Skip the DC component
+        for (i = 1; i < spectrum.length; i++) {
+            var freq = i * binWidth,
+                power = spectrum[i] + 1e-12;
+
+            totalEnergy += power;
+            logSum += Math.log(power);
+
+            if (freq >= VOICE_BAND_LOW && freq <= VOICE_BAND_HIGH) {
+                bandEnergy += power;
+            }
         }
+
+        var numBins = spectrum.length - 1,
+            geometricMean = Math.exp(logSum / numBins),
+            arithmeticMean = totalEnergy / numBins;
+
+        return {
+            voiceBandRatio: bandEnergy / totalEnergy,
+            spectralFlatness: geometricMean / arithmeticMean,
+            zeroCrossingRate: getZeroCrossings(samples) * sampleRate / samples.length // Crossings per second
+        };
     };
 
     /**
+     * Returns the largest power of two frame size not longer than FRAME_LENGTH or the number of samples.
      *
-     * @param output
-     * @param offset
-     * @param input
+     * @param {int} numSamples
+     * @param {int} sampleRate
+     * @returns {number}
      */
-    var floatTo16BitPCM = function (output, offset, input) {
-        for (var i = 0; i < input.length; i++, offset += 2) {
-            var s = Math.max(-1, Math.min(1, input[i]));
-            output.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+    var getFrameSize = function (numSamples, sampleRate) {
+        var maxSize = Math.min(numSamples, Math.max(64, sampleRate * FRAME_LENGTH)),
+            size = 64;
+
+        while (size * 2 <= maxSize) {
+            size *= 2;
         }
+
+        return size;
     };
 
     /**
+     * Calculates the average power spectrum of all complete frames in the samples.
      *
-     * @param inputL
-     * @param inputR
+     * @param samples
+     * @param {int} frameSize - Must be a power of two
      * @returns {Float32Array}
      */
-    var interleave = function (inputL, inputR) {
-        var length = inputL.length + inputR.length;
-        var result = new Float32Array(length);
+    var getPowerSpectrum = function (samples, frameSize) {
+        var spectrum = new Float32Array(frameSize / 2),
+            re = new Float32Array(frameSize),
+            im = new Float32Array(frameSize),
+            numFrames = Math.max(1, Math.floor(samples.length / frameSize)),
+            i, f;
+
+        for (f = 0; f < numFrames; f++) {
+            var offset = f * frameSize;
+
+            for (i = 0; i < frameSize; i++) {
+                // Hann window
+                var w = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (frameSize - 1)),
+                    s = offset + i < samples.length ? samples[offset + i] : 0;
+
+                re[i] = s * w;
+                im[i] = 0;
+            }
 
-        var index = 0;
-        var inputIndex = 0;
+            fft(re, im);
 
-        while (index < length) {
-            result[index++] = inputL[inputIndex];
-            result[index++] = inputR[inputIndex];
-            inputIndex++
+            for (i = 0; i < spectrum.length; i++) {
+                spectrum[i] += (re[i] * re[i] + im[i] * im[i]) / numFrames;
+            }
         }
-        return result
+
+        return spectrum;
+    };
+
+    /**
+     * In-place iterative radix-2 FFT.
+     *
+     * @param re - Real parts
+     * @param im - Imaginary parts
+     */
+    var fft = function (re, im) {
+        var n = re.length,
+            i, j, k, tmp;
+
+        // Bit reversal
+        for (i = 1, j = 0; i < n; i++) {
+            var bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+
+            if (i < j) {
+                tmp = re[i];
+                re[i] = re[j];
+                re[j] = tmp;
+                tmp = im[i];
+                im[i] = im[j];
+                im[j] = tmp;
+            }
+        }
+
+        for (var len = 2; len <= n; len <<= 1) {
+            var angle = -2 * Math.PI / len,
+                wRe = Math.cos(angle),
+                wIm = Math.sin(angle);
+
+            for (i = 0; i < n; i += len) {
+                var curRe = 1,
+                    curIm = 0;
+
+                for (k = 0; k < len / 2; k++) {
+                    var aIdx = i + k,
+                        bIdx = i + k + len / 2,
+                        tRe = re[bIdx] * curRe - im[bIdx] * curIm,
+                        tIm = re[bIdx] * curIm + im[bIdx] * curRe;
+
+                    re[bIdx] = re[aIdx] - tRe;
+                    im[bIdx] = im[aIdx] - tIm;
+                    re[aIdx] += tRe;
+                    im[aIdx] += tIm;
+
+                    tmp = curRe * wRe - curIm * wIm;
+                    curIm = curRe * wIm + curIm * wRe;
+                    curRe = tmp;
+                }
+            }
+        }
+    };
+
+    /**
+     *
+     * @param samples
+     * @returns {number}
+     */
+    var getZeroCrossings = function (samples) {
+        var crossings = 0;
+
+        for (var i = 1; i < samples.length; i++) {
+            if ((samples[i - 1] >= 0) !== (samples[i] >= 0)) {
+                crossings++;
+            }
+        }
+
+        return crossings;
+    };
+
+    /**
+     *
+     * @param {number} value
+     * @returns {number} The value limited to 0-1
+     */
+    var clamp = function (value) {
+        return Math.max(0, Math.min(1, value));
     };
 
     return {
-        encode: encode,
-        interleave: interleave
+        getSpeechProbability: getSpeechProbability,
+        getFeatures: getFeatures,
+        fft: fft
     };
-})();
+};
+
+var spectralAnalyzer = createSpectralAnalyzer();
+
+
+/*
+ Exposes the library as the global speechcapture object in browsers, and as a CommonJS module (together with the
+ helpers that are globals in browsers) when loaded in Node, e.g. for unit testing.
+ */
+if (typeof window !== "undefined") {
+    window.speechcapture = speechcapture;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = speechcapture;
+    module.exports.createReSampler = createReSampler;
+    module.exports.createWavEncoder = createWavEncoder;
+    module.exports.wavDecoder = wavDecoder;
+    module.exports.createPreprocessingChain = createPreprocessingChain;
+    module.exports.audioNormalizer = audioNormalizer;
+    module.exports.createAudioEncoder = createAudioEncoder;
+    module.exports.createSpectralAnalyzer = createSpectralAnalyzer;
+}
@@ -0,0 +1,181 @@
+var test = require('node:test'),
+    assert = require('node:assert'),
+    speechcapture = require('../src/speechcapture.js'),
+    helpers = require('./helpers.js');
+
+var noise = helpers.noise;
+
+// Quiet noise with a 440 Hz tone from startSecond to endSecond
+var utterance = function (seconds, startSecond, endSecond, sampleRate) {
+    var samples = noise(seconds * sampleRate, 0.001);
+
+    for (var i = startSecond * sampleRate; i < endSecond * sampleRate; i++) {
+        samples[i] = 0.3 * Math.sin(2 * Math.PI * 440 * i / sampleRate);
+    }
+
+    return samples;
+};
+
+var assertBetween = function (value, min, max, name) {
+    assert.ok(value >= min && value <= max, name + ' ' + value + ' is not between ' + min + ' and ' + max);
+};
+
+test.describe('analyze', function () {
+    test.it('returns the offsets of the detected utterances', function () {
+        return speechcapture.analyze(utterance(4, 1, 2, 16000), {inputSampleRate: 16000}).then(function (utterances) {
+            assert.strictEqual(utterances.length, 1);
+            assertBetween(utterances[0].startOffset, 900, 1000, 'startOffset');
+            assertBetween(utterances[0].endOffset, 2000, 2500, 'endOffset');
+            assert.strictEqual(utterances[0].duration, utterances[0].endOffset - utterances[0].startOffset);
+            assert.ok(utterances[0].level > utterances[0].threshold);
+            assert.ok(utterances[0].ambientLevel < utterances[0].threshold);
+        });
+    });
+
+    test.it('ends ongoing speech at the end of the audio', function () {
+        return speechcapture.analyze(utterance(2, 1, 2, 16000), {inputSampleRate: 16000}).then(function (utterances) {
+            assert.strictEqual(utterances.length, 1);
+            assert.strictEqual(utterances[0].endOffset, 2000);
+        });
+    });
+
+    test.it('finds no utterances in silence', function () {
+        return speechcapture.analyze(noise(32000, 0.001), {inputSampleRate: 16000}).then(function (utterances) {
+            assert.deepStrictEqual(utterances, []);
+        });
+    });
+
+    test.it('interprets a Float32Array at the inputSampleRate of the cfg', function () {
+        return speechcapture.analyze(utterance(4, 1, 2, 16000), {inputSampleRate: 8000}).then(function (utterances) {
+            assert.strictEqual(utterances.length, 1);
+            assertBetween(utterances[0].startOffset, 1800, 2000, 'startOffset');
+        });
+    });
+
+    test.it('decodes WAV audio', function () {
+        var wav = speechcapture.createWavEncoder().encode(utterance(4, 1, 2, 16000), 16000, 1);
+
+        return speechcapture.analyze(wav.buffer).then(function (utterances) {
+            assert.strictEqual(utterances.length, 1);
+            assertBetween(utterances[0].startOffset, 900, 1000, 'startOffset');
+        });
+    });
+
+    test.it('reads a Blob', function () {
+        var wav = speechcapture.createWavEncoder().encode(utterance(4, 1, 2, 16000), 16000, 1);
+
+        return speechcapture.analyze(new Blob([wav.buffer])).then(function (utterances) {
+            assert.strictEqual(utterances.length, 1);
+            assertBetween(utterances[0].startOffset, 900, 1000, 'startOffset');
+        });
+    });
+
+    test.it('calls the event listeners of a detector', function () {
+        var detector = speechcapture.create(),
+            events = [];
+
+        detector.addEventListener('speechstart', function () {
+            events.push('start');
+        });
+        detector.addEventListener('speechstop', function () {
+            events.push('stop');
+        });
+
+        return detector.analyze(utterance(4, 1, 2, 16000), {inputSampleRate: 16000}).then(function () {
+            assert.deepStrictEqual(events, ['start', 'stop']);
+        });
+    });
+
+    test.it('throws a ParameterError for an invalid source or cfg', function () {
+        assert.throws(function () {
+            speechcapture.analyze('audio.wav');
+        }, function (error) {
+            return error instanceof speechcapture.ParameterError && error.parameter === 'source' &&
+                error.code === speechcapture.ERROR_CODE.INVALID_PARAMETER;
+        });
+
+        assert.throws(function () {
+            speechcapture.analyze(new Float32Array(16000), {speechDetectionThreshold: -5});
+        }, function (error) {
+            return error instanceof speechcapture.ParameterError && error.parameter === 'speechDetectionThreshold';
+        });
+    });
+
+    test.it('fails with CAPTURE_ALREADY_STARTED while the detector is analyzing', function () {
+        var detector = speechcapture.create(),
+            audioContext = {
+                decodeAudioData: function (data, onSuccess) {
+                    setTimeout(function () {
+                        var samples = utterance(4, 1, 2, 16000);
+
+                        onSuccess({
+                            numberOfChannels: 1,
+                            sampleRate: 16000,
+                            getChannelData: function () {
+                                return samples;
+                            }
+                        });
+                    }, 0);
+                }
+            },
+            analysis = detector.analyze(new ArrayBuffer(16), {audioContext: audioContext});
+
+        return assert.rejects(detector.analyze(new Float32Array(16000)), function (error) {
+            return error instanceof speechcapture.SpeechCaptureError &&
+                error.code === speechcapture.ERROR_CODE.CAPTURE_ALREADY_STARTED;
+        }).then(function () {
+            return analysis;
+        }).then(function (utterances) {
+            assert.strictEqual(utterances.length, 1);
+        });
+    });
+
+    test.it('is stopped by stop', function () {
+        var detector = speechcapture.create(),
+            events = [];
+
+        detector.addEventListener('speechstart', function () {
+            events.push('start');
+
+            if (events.length === 1) {
+                detector.stop();
+            }
+        });
+        detector.addEventListener('speechstop', function () {
+            events.push('stop');
+        });
+
+        return assert.rejects(detector.analyze(utterance(8, 1, 2, 16000), {inputSampleRate: 16000}), function (error) {
+            return error instanceof speechcapture.SpeechCaptureError &&
+                error.code === speechcapture.ERROR_CODE.CAPTURE_ABORTED;
+        }).then(function () {
+            assert.deepStrictEqual(events, ['start']);
+
+            // The detector can be used again
+            return detector.analyze(utterance(4, 1, 2, 16000), {inputSampleRate: 16000});
+        }).then(function (utterances) {
+            assert.strictEqual(utterances.length, 1);
+        });
+    });
+
+    test.it('is stopped by stop while decoding', function () {
+        var detector = speechcapture.create(),
+            blob = new Blob([speechcapture.createWavEncoder().encode(utterance(4, 1, 2, 16000), 16000, 1).buffer]),
+            analysis = detector.analyze(blob);
+
+        detector.stop();
+
+        return assert.rejects(analysis, function (error) {
+            return error.code === speechcapture.ERROR_CODE.CAPTURE_ABORTED;
+        });
+    });
+
+    test.it('rejects audio that cannot be decoded', function () {
+        return speechcapture.analyze(new ArrayBuffer(16)).then(function () {
+            assert.fail('Resolved');
+        }, function (error) {
+            assert.ok(error instanceof speechcapture.SpeechCaptureError);
+            assert.strictEqual(error.code, speechcapture.ERROR_CODE.DECODING_FAILED);
+        });
+    });
+});
@@ -0,0 +1,149 @@
+var test = require('node:test'),
+    assert = require('node:assert'),
+    speechcapture = require('../src/speechcapture.js'),
+    helpers = require('./helpers.js');
+
+var audioNormalizer = speechcapture.audioNormalizer,
+    sine = helpers.sine;
+
+var peakLevel = function (samples) {
+    var peak = 0;
+
+    for (var i = 0; i < samples.length; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+    }
+
+    return 20 * Math.log(peak) / Math.LN10;
+};
+
+var defaults = function (options) {
+    return helpers.withDefaults({removeDCOffset: false, normalization: 'none', target: -3, maxGain: 30, limiter: false,
+        limiterThreshold: -1}, options);
+};
+
+test.describe('audioNormalizer.getLoudness', function () {
+    [48000, 16000].forEach(function (sampleRate) {
+        test.it('measures a 1 kHz sine at -20 dBFS as -23 LUFS at ' + sampleRate + ' Hz', function () {
+            var loudness = audioNormalizer.getLoudness(sine(3 * sampleRate, sampleRate, 997, 0.1), sampleRate, 1);
+
+            assert.ok(Math.abs(loudness + 23.01) < 0.1, loudness + ' LUFS');
+        });
+    });
+
+    test.it('sums the channels', function () {
+        var mono = audioNormalizer.getLoudness(sine(3 * 48000, 48000, 997, 0.1), 48000, 1),
+            stereo = audioNormalizer.getLoudness(sine(3 * 48000, 48000, 997, 0.1, 2), 48000, 2);
+
+        assert.ok(Math.abs(stereo - mono - 3.01) < 0.05, (stereo - mono) + ' LU');
+    });
+
+    test.it('gates silence', function () {
+        // Ungated, the silence would lower the loudness by 4.8 LU
+        var tone = sine(3 * 48000, 48000, 997, 0.1),
+            withSilence = new Float32Array(tone.length * 3);
+
+        withSilence.set(tone, tone.length);
+
+        var loudness = audioNormalizer.getLoudness(withSilence, 48000, 1);
+
+        assert.ok(Math.abs(loudness + 23.01) < 0.5, loudness + ' LUFS');
+    });
+
+    test.it('emphasizes high frequencies (K-weighting)', function () {
+        var low = audioNormalizer.getLoudness(sine(3 * 48000, 48000, 100, 0.1), 48000, 1),
+            high = audioNormalizer.getLoudness(sine(3 * 48000, 48000, 4000, 0.1), 48000, 1);
+
+        assert.ok(high > low + 3, low + ' / ' + high);
+    });
+});
+
+test.describe('audioNormalizer.removeDCOffset', function () {
+    test.it('subtracts the mean of each channel', function () {
+        var samples = new Float32Array([0.3, -0.1, 0.5, -0.3, 0.1, -0.2]),
+            offsets = audioNormalizer.removeDCOffset(samples, 2);
+
+        assert.ok(Math.abs(offsets[0] - 0.3) < 1e-6);
+        assert.ok(Math.abs(offsets[1] + 0.2) < 1e-6);
+        assert.ok(Math.abs(samples[0] + samples[2] + samples[4]) < 1e-6);
+        assert.ok(Math.abs(samples[1] + samples[3] + samples[5]) < 1e-6);
+    });
+});
+
+test.describe('audioNormalizer.limit', function () {
+    test.it('softly limits the samples above the threshold, below full scale', function () {
+        var samples = new Float32Array([0.5, -0.85, 0.95, -1.2, 1.5]),
+            threshold = Math.pow(10, -1 / 20),
+            count = audioNormalizer.limit(samples, threshold);
+
+        assert.strictEqual(count, 3);
+        assert.strictEqual(samples[0], 0.5);
+        assert.strictEqual(samples[1], Math.fround(-0.85));
+        assert.ok(samples[2] > threshold && samples[2] < 0.95);
+        assert.ok(samples[3] < -threshold && samples[3] > -1);
+        assert.ok(samples[4] > -samples[3] && samples[4] < 1);
+    });
+});
+
+test.describe('audioNormalizer.process', function () {
+    test.it('normalizes the peak level to the target', function () {
+        var samples = sine(16000, 16000, 440, 0.1),
+            report = audioNormalizer.process(samples, 16000, 1, defaults({normalization: 'peak', target: -3}));
+
+        assert.ok(Math.abs(report.inputPeakLevel + 20) < 0.01);
+        assert.ok(Math.abs(report.gain - 17) < 0.01);
+        assert.ok(Math.abs(peakLevel(samples) + 3) < 0.01);
+        assert.ok(Math.abs(report.outputPeakLevel + 3) < 0.01);
+    });
+
+    test.it('normalizes the loudness to the target', function () {
+        var samples = sine(3 * 48000, 48000, 997, 0.03),
+            report = audioNormalizer.process(samples, 48000, 1, defaults({normalization: 'loudness', target: -23}));
+
+        assert.ok(Math.abs(report.inputLoudness + 33.47) < 0.1, report.inputLoudness + ' LUFS');
+        assert.ok(Math.abs(audioNormalizer.getLoudness(samples, 48000, 1) + 23) < 0.1);
+    });
+
+    test.it('limits the gain to maxGain', function () {
+        var samples = sine(16000, 16000, 440, 0.001),
+            report = audioNormalizer.process(samples, 16000, 1, defaults({normalization: 'peak', maxGain: 20}));
+
+        assert.strictEqual(report.gain, 20);
+        assert.ok(Math.abs(peakLevel(samples) + 40) < 0.01);
+    });
+
+    test.it('reduces the gain to avoid clipping without the limiter, and limits the peaks with it', function () {
+        var options = {normalization: 'loudness', target: -3},
+            clipping = audioNormalizer.process(sine(3 * 48000, 48000, 997, 0.1), 48000, 1, defaults(options)),
+            samples = sine(3 * 48000, 48000, 997, 0.1);
+
+        options.limiter = true;
+
+        var limited = audioNormalizer.process(samples, 48000, 1, defaults(options));
+
+        assert.ok(Math.abs(clipping.gain - 20) < 0.01, clipping.gain + ' dB');
+        assert.ok(limited.gain > 20);
+        assert.ok(limited.limitedSamples > 0);
+        assert.ok(peakLevel(samples) < 0);
+    });
+
+    test.it('removes the DC offset before measuring the peak level', function () {
+        var samples = sine(16000, 16000, 440, 0.1);
+
+        for (var i = 0; i < samples.length; i++) {
+            samples[i] += 0.2;
+        }
+
+        var report = audioNormalizer.process(samples, 16000, 1, defaults({removeDCOffset: true}));
+
+        assert.ok(Math.abs(report.dcOffset[0] - 0.2) < 1e-3);
+        assert.ok(Math.abs(report.inputPeakLevel + 20) < 0.05);
+        assert.strictEqual(report.gain, 0);
+    });
+
+    test.it('leaves silence untouched', function () {
+        var report = audioNormalizer.process(new Float32Array(1000), 16000, 1, defaults({normalization: 'peak'}));
+
+        assert.strictEqual(report.gain, 0);
+        assert.strictEqual(report.outputPeakLevel, -Infinity);
+    });
+});
@@ -0,0 +1,156 @@
+var test = require('node:test'),
+    assert = require('node:assert'),
+    speechcapture = require('../src/speechcapture.js');
+
+var DEFAULT = speechcapture.DEFAULT,
+    ERROR_CODE = speechcapture.ERROR_CODE;
+
+var noop = function () {
+};
+
+// The configuration is applied when the analysis starts, so that it can be validated without capturing
+var applyCfg = function (cfg, detectorCfg) {
+    var detector = speechcapture.create(detectorCfg);
+
+    return detector.analyze(new Float32Array(1600), cfg).then(function () {
+        return detector.getCfg();
+    });
+};
+
+var assertParameterError = function (cfg, parameter, code) {
+    var detector = speechcapture.create();
+
+    assert.throws(function () {
+        detector.analyze(new Float32Array(1600), cfg);
+    }, function (error) {
+        return error instanceof speechcapture.ParameterError && error.parameter === parameter &&
+            error.code === (code || ERROR_CODE.INVALID_PARAMETER);
+    });
+    assert.strictEqual(detector.getLastErrorCode(), code || ERROR_CODE.INVALID_PARAMETER);
+};
+
+test.describe('configuration', function () {
+    test.it('uses explicit falsy values instead of the defaults', function () {
+        return applyCfg({speechDetectionThreshold: 0, speechDetectionMinimum: 0, compressPauses: false,
+            useAudioWorklet: false, detectionChannel: 0}).then(function (cfg) {
+            assert.strictEqual(cfg.speechDetectionThreshold, 0);
+            assert.strictEqual(cfg.speechDetectionMinimum, 0);
+            assert.strictEqual(cfg.compressPauses, false);
+            assert.strictEqual(cfg.useAudioWorklet, false);
+            assert.strictEqual(cfg.detectionChannel, 0);
+        });
+    });
+
+    test.it('uses the defaults for undefined and null values', function () {
+        return applyCfg({speechDetectionThreshold: null, speechDetectionMaximum: undefined}).then(function (cfg) {
+            assert.strictEqual(cfg.speechDetectionThreshold, DEFAULT.SPEECH_DETECTION_THRESHOLD);
+            assert.strictEqual(cfg.speechDetectionMaximum, DEFAULT.SPEECH_DETECTION_MAX_LENGTH);
+            assert.strictEqual(cfg.useAudioWorklet, DEFAULT.USE_AUDIO_WORKLET);
+        });
+    });
+
+    test.it('defaults the start and stop thresholds to the detection threshold', function () {
+        return applyCfg({speechDetectionThreshold: 0}).then(function (cfg) {
+            assert.strictEqual(cfg.speechStartThreshold, 0);
+            assert.strictEqual(cfg.speechStopThreshold, 0);
+
+            return applyCfg({speechDetectionThreshold: 20, speechStartThreshold: 12});
+        }).then(function (cfg) {
+            assert.strictEqual(cfg.speechStartThreshold, 12);
+            assert.strictEqual(cfg.speechStopThreshold, 12);
+        });
+    });
+
+    test.it('accepts the alternative name of a parameter', function () {
+        return applyCfg({audioInputPluginActive: false}).then(function (cfg) {
+            assert.strictEqual(cfg.audioinputPluginActive, false);
+        });
+    });
+
+    test.it('merges the cfg with the detector configuration', function () {
+        return applyCfg({speechDetectionMinimum: 100}, {speechDetectionMinimum: 300, speechDetectionThreshold: 0})
+            .then(function (cfg) {
+                assert.strictEqual(cfg.speechDetectionMinimum, 100);
+                assert.strictEqual(cfg.speechDetectionThreshold, 0);
+            });
+    });
+
+    test.it('keeps the current configuration if the new one is invalid', function () {
+        var detector = speechcapture.create();
+
+        return detector.analyze(new Float32Array(1600), {speechDetectionThreshold: 0}).then(function () {
+            var cfg = detector.getCfg();
+
+            assert.throws(function () {
+                detector.analyze(new Float32Array(1600), {speechDetectionMinimum: 2000, speechDetectionMaximum: 1000});
+            }, speechcapture.ParameterError);
+            assert.strictEqual(detector.getCfg(), cfg);
+        });
+    });
+
+    test.it('rejects values of the wrong type', function () {
+        assertParameterError({speechDetectionThreshold: '10'}, 'speechDetectionThreshold');
+        assertParameterError({compressPauses: 0}, 'compressPauses');
+        assertParameterError({onSpeechChunk: true}, 'onSpeechChunk');
+        assertParameterError({preprocessors: [noop, 'highpass']}, 'preprocessors');
+    });
+
+    test.it('rejects numbers out of range', function () {
+        assertParameterError({speechDetectionThreshold: -1}, 'speechDetectionThreshold');
+        assertParameterError({speechDetectionMaximum: 0}, 'speechDetectionMaximum');
+        assertParameterError({speechStartMinChunks: 1.5}, 'speechStartMinChunks');
+        assertParameterError({vadProbabilityThreshold: 1.1}, 'vadProbabilityThreshold');
+        assertParameterError({limiterThreshold: 0}, 'limiterThreshold');
+        assertParameterError({sampleRate: NaN}, 'sampleRate');
+    });
+
+    test.it('rejects values that are not one of the allowed values', function () {
+        assertParameterError({vadMode: 'loud'}, 'vadMode');
+        assertParameterError({audioResultType: 42}, 'audioResultType');
+        assertParameterError({wavFormat: speechcapture.WAV_FORMAT.PCM_16BIT.toUpperCase()}, 'wavFormat');
+    });
+
+    test.it('rejects parameters that conflict with each other', function () {
+        assertParameterError({speechDetectionMinimum: 2000, speechDetectionMaximum: 1000}, 'speechDetectionMinimum');
+        assertParameterError({speechStartThreshold: 10, speechStopThreshold: 12}, 'speechStopThreshold');
+        assertParameterError({ambientLevelWindow: 5000, ambientLevelHalfLife: 2000}, 'ambientLevelHalfLife');
+        assertParameterError({channels: 2, detectionChannel: 2, channelPolicy: speechcapture.CHANNEL_POLICY.CHANNEL},
+            'detectionChannel');
+        assertParameterError({vadMode: speechcapture.VAD_MODE.CUSTOM}, 'vadFunction', ERROR_CODE.MISSING_PARAMETER);
+        assertParameterError({sampleRate: 16000, bufferSize: 1024, analysisChunkLength: 100}, 'analysisChunkLength');
+    });
+
+    test.it('validates the analysisChunkLength against the sample rate of the audio', function () {
+        var samples = new Float32Array(4800),
+            audioBuffer = {
+                numberOfChannels: 1,
+                sampleRate: 48000,
+                getChannelData: function () {
+                    return samples;
+                }
+            };
+
+        // 1024 samples are 128 mS at 8000 Hz, but only 21 mS at 48000 Hz
+        return assert.rejects(speechcapture.analyze(audioBuffer, {sampleRate: 8000, bufferSize: 1024,
+            analysisChunkLength: 100}), function (error) {
+            return error instanceof speechcapture.ParameterError && error.parameter === 'analysisChunkLength';
+        });
+    });
+
+    test.it('rejects an invalid detector configuration', function () {
+        assert.throws(function () {
+            speechcapture.create({speechDetectionThreshold: -1}).analyze(new Float32Array(1600));
+        }, speechcapture.ParameterError);
+    });
+
+    test.it('is validated by start before the capture is started', function () {
+        var detector = speechcapture.create();
+
+        assert.throws(function () {
+            detector.start({speechDetectionMaximum: -1}, noop);
+        }, function (error) {
+            return error instanceof speechcapture.ParameterError && error.parameter === 'speechDetectionMaximum';
+        });
+        assert.strictEqual(detector.isCapturing(), false);
+    });
+});
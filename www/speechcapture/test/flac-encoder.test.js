@@ -0,0 +1,272 @@
+var test = require('node:test'),
+    assert = require('node:assert'),
+    speechcapture = require('../src/speechcapture.js');
+
+var audioEncoder = speechcapture.createAudioEncoder();
+
+/**
+ * A minimal FLAC decoder for the subset written by the encoder: fixed block size frames with independent 16-bit
+ * channels, and constant, verbatim or fixed prediction subframes with Rice coded residuals. Checks the frame CRCs.
+ */
+var decodeFlac = function (bytes) {
+    var pos = 0;
+
+    var readBits = function (count) {
+        var value = 0;
+
+        for (var i = 0; i < count; i++, pos++) {
+            value = value * 2 + ((bytes[pos >> 3] >> (7 - (pos & 7))) & 1);
+        }
+
+        return value;
+    };
+
+    var readSigned = function (count) {
+        var value = readBits(count);
+        return value >= Math.pow(2, count - 1) ? value - Math.pow(2, count) : value;
+    };
+
+    var crc = function (start, end, bits, polynomial) {
+        var value = 0,
+            top = 1 << (bits - 1),
+            mask = (1 << bits) - 1;
+
+        for (var i = start; i < end; i++) {
+            value ^= bytes[i] << (bits - 8);
+
+            for (var j = 0; j < 8; j++) {
+                value = value & top ? ((value << 1) ^ polynomial) & mask : (value << 1) & mask;
+            }
+        }
+
+        return value;
+    };
+
+    assert.strictEqual(String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]), 'fLaC');
+    pos = 32;
+    assert.strictEqual(readBits(1), 1, 'STREAMINFO is the last metadata block');
+    assert.strictEqual(readBits(7), 0);
+    assert.strictEqual(readBits(24), 34);
+    pos += 16 + 16 + 24 + 24;
+
+    var result = {
+        sampleRate: readBits(20),
+        channels: readBits(3) + 1,
+        bitsPerSample: readBits(5) + 1,
+        totalFrames: readBits(36),
+        frames: 0
+    };
+
+    pos += 128;
+
+    var channelData = [];
+
+    for (var c = 0; c < result.channels; c++) {
+        channelData.push([]);
+    }
+
+    while ((pos >> 3) < bytes.length) {
+        var frameStart = pos >> 3;
+
+        assert.strictEqual(readBits(16), 0xFFF8, 'frame sync code');
+        assert.strictEqual(readBits(4), 7);
+        readBits(4 + 4 + 3 + 1);
+
+        // The frame number, UTF-8 coded
+        var first = readBits(8);
+        for (var n = 0x80; first & n && n > 0x20; n >>= 1) {
+            readBits(8);
+        }
+
+        var blockSize = readBits(16) + 1,
+            headerEnd = pos >> 3;
+
+        assert.strictEqual(readBits(8), crc(frameStart, headerEnd, 8, 0x07), 'frame header CRC-8');
+
+        for (c = 0; c < result.channels; c++) {
+            var type = readBits(8) >> 1,
+                block = channelData[c],
+                blockStart = block.length,
+                i;
+
+            if (type === 0) {
+                var value = readSigned(16);
+                for (i = 0; i < blockSize; i++) {
+                    block.push(value);
+                }
+            }
+            else if (type === 1) {
+                for (i = 0; i < blockSize; i++) {
+                    block.push(readSigned(16));
+                }
+            }
+            else {
+                var order = type - 8,
+                    coefficients = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]][order];
+
+                assert.ok(order >= 0 && order <= 4, 'fixed subframe order ' + order);
+
+                for (i = 0; i < order; i++) {
+                    block.push(readSigned(16));
+                }
+
+                assert.strictEqual(readBits(2), 0, 'Rice coding with 4-bit parameters');
+
+                var partitionOrder = readBits(4),
+                    partitionSize = blockSize >> partitionOrder;
+
+                for (var p = 0; p < (1 << partitionOrder); p++) {
+                    var k = readBits(4),
+                        count = p === 0 ? partitionSize - order : partitionSize;
+
+                    for (i = 0; i < count; i++) {
+                        var quotient = 0;
+
+                        while (readBits(1) === 0) {
+                            quotient++;
+                        }
+
+                        var u = quotient * Math.pow(2, k) + readBits(k),
+                            residual = u % 2 ? -(u + 1) / 2 : u / 2,
+                            prediction = 0;
+
+                        for (var j = 0; j < order; j++) {
+                            prediction += coefficients[j] * block[block.length - 1 - j];
+                        }
+
+                        block.push(prediction + residual);
+                    }
+                }
+            }
+
+            assert.strictEqual(block.length - blockStart, blockSize);
+        }
+
+        pos = (pos + 7) & ~7;
+        assert.strictEqual(readBits(16), crc(frameStart, (pos >> 3) - 2, 16, 0x8005), 'frame CRC-16');
+        result.frames++;
+    }
+
+    result.channelData = channelData;
+    return result;
+};
+
+var toInt16 = function (s) {
+    s = Math.max(-1, Math.min(1, s));
+    return (s < 0 ? s * 0x8000 : s * 0x7FFF) | 0;
+};
+
+var createTestSignal = function (numFrames, channels) {
+    var samples = new Float32Array(numFrames * channels),
+        seed = 1;
+
+    for (var i = 0; i < numFrames; i++) {
+        for (var c = 0; c < channels; c++) {
+            seed = (seed * 16807) % 2147483647;
+
+            // A tone with some noise, and silence at the end
+            samples[i * channels + c] = i < numFrames - 5000 ?
+                0.5 * Math.sin(2 * Math.PI * (440 + 220 * c) * i / 16000) + 0.01 * (seed / 2147483647 - 0.5) : 0;
+        }
+    }
+
+    samples[0] = 1.5; // Clipped
+
+    return samples;
+};
+
+test.describe('audioEncoder.encodeFlac', function () {
+    [1, 2].forEach(function (channels) {
+        test.it('losslessly encodes 16-bit audio with ' + channels + ' channel(s)', function () {
+            var numFrames = 4096 * 3 + 1000,
+                samples = createTestSignal(numFrames, channels),
+                decoded = decodeFlac(audioEncoder.encodeFlac(samples, 16000, channels));
+
+            assert.strictEqual(decoded.sampleRate, 16000);
+            assert.strictEqual(decoded.channels, channels);
+            assert.strictEqual(decoded.bitsPerSample, 16);
+            assert.strictEqual(decoded.totalFrames, numFrames);
+            assert.strictEqual(decoded.frames, 4);
+
+            for (var c = 0; c < channels; c++) {
+                assert.strictEqual(decoded.channelData[c].length, numFrames);
+
+                for (var i = 0; i < numFrames; i++) {
+                    assert.strictEqual(decoded.channelData[c][i], toInt16(samples[i * channels + c]),
+                        'channel ' + c + ', sample ' + i);
+                }
+            }
+        });
+    });
+
+    test.it('compresses silence and tones', function () {
+        var samples = createTestSignal(16000, 1),
+            flac = audioEncoder.encodeFlac(samples, 16000, 1);
+
+        assert.ok(flac.length < samples.length * 2 * 0.6, flac.length + ' bytes');
+    });
+
+    test.it('rejects more than 8 channels', function () {
+        assert.throws(function () {
+            audioEncoder.encodeFlac(new Float32Array(90), 16000, 9);
+        });
+    });
+});
+
+test.describe('audioEncoder.encode', function () {
+    test.it('calls onComplete with the FLAC data and mime type', function () {
+        var result = null;
+
+        audioEncoder.encode({format: 'flac', samples: createTestSignal(5000, 1), sampleRate: 16000, channels: 1},
+            function (data, mimeType) {
+                result = {data: data, mimeType: mimeType};
+            }, assert.fail);
+
+        assert.strictEqual(result.mimeType, 'audio/flac');
+        assert.ok(result.data instanceof ArrayBuffer);
+        assert.strictEqual(decodeFlac(new Uint8Array(result.data)).totalFrames, 5000);
+    });
+
+    test.it('reports an error for Opus without WebCodecs support', function () {
+        var error = null;
+
+        audioEncoder.encode({format: 'opus', samples: new Float32Array(100), sampleRate: 16000, channels: 1},
+            assert.fail, function (message) {
+                error = message;
+            });
+
+        assert.ok(!audioEncoder.isOpusSupported());
+        assert.match(error, /WebCodecs/);
+    });
+});
+
+test.describe('OGG_OPUS_BLOB', function () {
+    test.it('is reported as unsupported without WebCodecs support', function () {
+        assert.ok(!speechcapture.isAudioResultTypeSupported(speechcapture.AUDIO_RESULT_TYPE.OGG_OPUS_BLOB));
+        assert.ok(speechcapture.isAudioResultTypeSupported(speechcapture.AUDIO_RESULT_TYPE.FLAC_BLOB));
+    });
+
+    test.it('makes start fail without WebCodecs support', function () {
+        var detector = speechcapture.create();
+
+        return assert.rejects(detector.start({audioResultType: speechcapture.AUDIO_RESULT_TYPE.OGG_OPUS_BLOB},
+            function () {
+            }), function (error) {
+            return error instanceof speechcapture.SpeechCaptureError &&
+                error.code === speechcapture.ERROR_CODE.ENCODING_UNSUPPORTED;
+        }).then(function () {
+            assert.strictEqual(detector.getLastErrorCode(), speechcapture.ERROR_CODE.ENCODING_UNSUPPORTED);
+            assert.strictEqual(detector.isCapturing(), false);
+        });
+    });
+
+    test.it('makes start throw with more than 2 channels', function () {
+        assert.throws(function () {
+            speechcapture.create().start({audioResultType: speechcapture.AUDIO_RESULT_TYPE.OGG_OPUS_BLOB, channels: 3},
+                function () {
+                });
+        }, function (error) {
+            return error instanceof speechcapture.ParameterError && error.parameter === 'channels';
+        });
+    });
+});
@@ -0,0 +1,65 @@
+// Test signals and measurements shared by the tests
+
+// Interleaved sine of length frames, in all channels
+var sine = function (length, sampleRate, frequency, amplitude, channels) {
+    var numChannels = channels || 1,
+        samples = new Float32Array(length * numChannels);
+
+    for (var i = 0; i < length; i++) {
+        for (var c = 0; c < numChannels; c++) {
+            samples[i * numChannels + c] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+        }
+    }
+
+    return samples;
+};
+
+// Reproducible white noise
+var noise = function (length, amplitude) {
+    var samples = new Float32Array(length),
+        seed = 1;
+
+    for (var i = 0; i < length; i++) {
+        seed = (seed * 16807) % 2147483647;
+        samples[i] = amplitude * (2 * seed / 2147483647 - 1);
+    }
+
+    return samples;
+};
+
+var rms = function (samples, from, to) {
+    var total = 0;
+
+    for (var i = from; i < to; i++) {
+        total += samples[i] * samples[i];
+    }
+
+    return Math.sqrt(total / (to - from));
+};
+
+// The defaults with the given options applied
+var withDefaults = function (defaults, options) {
+    var result = {},
+        key;
+
+    for (key in defaults) {
+        if (defaults.hasOwnProperty(key)) {
+            result[key] = defaults[key];
+        }
+    }
+
+    for (key in options) {
+        if (options.hasOwnProperty(key)) {
+            result[key] = options[key];
+        }
+    }
+
+    return result;
+};
+
+module.exports = {
+    sine: sine,
+    noise: noise,
+    rms: rms,
+    withDefaults: withDefaults
+};
@@ -0,0 +1,127 @@
+var test = require('node:test'),
+    assert = require('node:assert'),
+    speechcapture = require('../src/speechcapture.js'),
+    helpers = require('./helpers.js');
+
+var sine = helpers.sine,
+    noise = helpers.noise,
+    rms = helpers.rms;
+
+var createOptions = function (options) {
+    return helpers.withDefaults({highPassFilter: false, highPassFrequency: 80, humFilter: false, humFrequency: 50,
+        spectralSubtraction: false, spectralSubtractionFactor: 2, preprocessors: []}, options);
+};
+
+// Processes the audio in buffers, as the detector does
+var processInBuffers = function (chain, samples, bufferSize, learnNoise) {
+    var result = new Float32Array(samples.length);
+
+    for (var i = 0; i < samples.length; i += bufferSize) {
+        result.set(chain.process(samples.subarray(i, i + bufferSize), learnNoise), i);
+    }
+
+    return result;
+};
+
+test.describe('createPreprocessingChain', function () {
+    test.it('removes low frequencies with the high-pass filter', function () {
+        var chain = speechcapture.createPreprocessingChain(16000, 1, createOptions({highPassFilter: true})),
+            rumble = processInBuffers(chain, sine(16000, 16000, 20, 0.5), 1024),
+            speech = processInBuffers(speechcapture.createPreprocessingChain(16000, 1,
+                createOptions({highPassFilter: true})), sine(16000, 16000, 1000, 0.5), 1024);
+
+        assert.ok(rms(rumble, 8000, 16000) < 0.1 * 0.3536, 'rumble ' + rms(rumble, 8000, 16000));
+        assert.ok(Math.abs(rms(speech, 8000, 16000) - 0.3536) < 0.01, 'speech ' + rms(speech, 8000, 16000));
+        assert.strictEqual(chain.latency, 0);
+    });
+
+    test.it('removes the mains hum and its harmonics with the hum filter', function () {
+        [60, 120, 180].forEach(function (frequency) {
+            var chain = speechcapture.createPreprocessingChain(16000, 1,
+                    createOptions({humFilter: true, humFrequency: 60})),
+                hum = processInBuffers(chain, sine(32000, 16000, frequency, 0.5), 1024);
+
+            assert.ok(rms(hum, 24000, 32000) < 0.01, frequency + ' Hz: ' + rms(hum, 24000, 32000));
+        });
+    });
+
+    test.it('delays the audio by its latency with spectral subtraction', function () {
+        var chain = speechcapture.createPreprocessingChain(16000, 1, createOptions({spectralSubtraction: true})),
+            input = noise(8192, 0.5),
+            output = processInBuffers(chain, input, 1000, false); // No noise profile, so nothing is subtracted
+
+        assert.strictEqual(chain.latency, 512); // The frame length, 32 ms
+        for (var i = 0; i < 512; i++) {
+            assert.ok(Math.abs(output[i]) < 1e-6, 'sample ' + i);
+        }
+        for (i = 512; i < input.length; i++) {
+            assert.ok(Math.abs(output[i] - input[i - 512]) < 1e-5, 'sample ' + i);
+        }
+    });
+
+    test.it('delays unprocessed audio as much as the processing does', function () {
+        var chain = speechcapture.createPreprocessingChain(16000, 2, createOptions({spectralSubtraction: true})),
+            input = noise(4000, 0.5),
+            output = new Float32Array(input.length);
+
+        for (var i = 0; i < input.length; i += 1000) {
+            output.set(chain.delay(input.subarray(i, i + 1000)), i);
+        }
+
+        for (i = 0; i < input.length; i++) {
+            assert.strictEqual(output[i], i < 1024 ? 0 : input[i - 1024], 'sample ' + i); // 512 stereo frames
+        }
+    });
+
+    test.it('doesn\'t delay the audio without spectral subtraction', function () {
+        var chain = speechcapture.createPreprocessingChain(16000, 1, createOptions({highPassFilter: true})),
+            input = noise(1000, 0.5);
+
+        assert.strictEqual(chain.delay(input), input);
+    });
+
+    test.it('suppresses stationary noise once the noise profile has been learned', function () {
+        var chain = speechcapture.createPreprocessingChain(16000, 1, createOptions({spectralSubtraction: true})),
+            background = noise(32000, 0.05),
+            learned = processInBuffers(chain, background.subarray(0, 16000), 1024, true),
+            suppressed = processInBuffers(chain, background.subarray(16000), 1024, false);
+
+        assert.ok(rms(learned, 512, 2048) > 0.02, 'noise before learning ' + rms(learned, 512, 2048));
+        assert.ok(rms(suppressed, 0, 16000) < 0.01, 'noise after learning ' + rms(suppressed, 0, 16000));
+    });
+
+    test.it('keeps a tone louder than the noise', function () {
+        var chain = speechcapture.createPreprocessingChain(16000, 1, createOptions({spectralSubtraction: true})),
+            tone = sine(16000, 16000, 1000, 0.3),
+            background = noise(32000, 0.01);
+
+        processInBuffers(chain, background.subarray(0, 16000), 1024, true);
+
+        for (var i = 0; i < tone.length; i++) {
+            tone[i] += background[16000 + i];
+        }
+
+        var output = processInBuffers(chain, tone, 1024, false);
+
+        assert.ok(Math.abs(rms(output, 1024, 16000) - 0.2121) < 0.02, 'tone ' + rms(output, 1024, 16000));
+    });
+
+    test.it('runs the custom preprocessors after the built-in stages', function () {
+        var calls = [],
+            chain = speechcapture.createPreprocessingChain(8000, 2, createOptions({
+                preprocessors: [function (samples, channels, sampleRate) {
+                    calls.push([samples.length, channels, sampleRate]);
+                    return samples.map(function (s) {
+                        return s * 2;
+                    });
+                }]
+            }));
+
+        var output = chain.process(new Float32Array([0.1, 0.2, 0.3, 0.4]), false);
+
+        assert.deepStrictEqual(calls, [[4, 2, 8000]]);
+        assert.deepStrictEqual(Array.prototype.slice.call(output), [0.1, 0.2, 0.3, 0.4].map(function (s) {
+            return Math.fround(s) * 2;
+        }).map(Math.fround));
+    });
+});
@@ -0,0 +1,69 @@
+var test = require('node:test'),
+    assert = require('node:assert'),
+    speechcapture = require('../src/speechcapture.js'),
+    helpers = require('./helpers.js');
+
+var ReSampler = speechcapture.createReSampler(),
+    sine = helpers.sine,
+    rms = helpers.rms;
+
+['sinc', 'linear'].forEach(function (quality) {
+    test.describe('ReSampler.resample (' + quality + ')', function () {
+        test.it('scales the length by the sample rate ratio', function () {
+            assert.strictEqual(ReSampler.resample(new Float32Array(48000), 48000, 16000, 1, quality).length, 16000);
+            assert.strictEqual(ReSampler.resample(new Float32Array(16000), 16000, 44100, 1, quality).length, 44100);
+            assert.strictEqual(ReSampler.resample(new Float32Array(4410), 44100, 16000, 1, quality).length, 1600);
+        });
+
+        test.it('keeps the gain of a DC signal', function () {
+            var dc = new Float32Array(4800).fill(0.5),
+                resampled = ReSampler.resample(dc, 48000, 16000, 1, quality);
+
+            for (var i = 0; i < resampled.length; i++) {
+                assert.ok(Math.abs(resampled[i] - 0.5) < 1e-4, 'sample ' + i + ' is ' + resampled[i]);
+            }
+        });
+
+        test.it('keeps the level of a tone below the new Nyquist frequency', function () {
+            var downsampled = ReSampler.resample(sine(48000, 48000, 1000, 0.5), 48000, 16000, 1, quality),
+                upsampled = ReSampler.resample(sine(16000, 16000, 1000, 0.5), 16000, 44100, 1, quality);
+
+            assert.ok(Math.abs(rms(downsampled, 100, 15900) - 0.3536) < 0.01);
+            assert.ok(Math.abs(rms(upsampled, 300, 44000) - 0.3536) < 0.01);
+        });
+
+        test.it('resamples interleaved channels independently', function () {
+            var stereo = new Float32Array(32000);
+
+            for (var i = 0; i < 16000; i++) {
+                stereo[2 * i] = 0.5;
+                stereo[2 * i + 1] = -0.25;
+            }
+
+            var resampled = ReSampler.resample(stereo, 16000, 8000, 2, quality);
+
+            assert.strictEqual(resampled.length, 16000);
+            assert.ok(Math.abs(resampled[2000] - 0.5) < 1e-4);
+            assert.ok(Math.abs(resampled[2001] + 0.25) < 1e-4);
+        });
+    });
+});
+
+test.describe('ReSampler.resample', function () {
+    test.it('returns a copy of the audio when the sample rates are equal', function () {
+        var samples = sine(1000, 16000, 440, 0.5),
+            resampled = ReSampler.resample(samples, 16000, 16000);
+
+        assert.notStrictEqual(resampled, samples);
+        assert.deepStrictEqual(resampled, samples);
+    });
+
+    test.it('filters frequencies above the new Nyquist frequency with sinc, but not with linear', function () {
+        var aliasing = sine(48000, 48000, 10000, 0.5),
+            sinc = ReSampler.resample(aliasing, 48000, 16000, 1, 'sinc'),
+            linear = ReSampler.resample(aliasing, 48000, 16000, 1, 'linear');
+
+        assert.ok(rms(sinc, 100, 15900) < 0.001, 'sinc alias level ' + rms(sinc, 100, 15900));
+        assert.ok(rms(linear, 100, 15900) > 0.1, 'linear alias level ' + rms(linear, 100, 15900));
+    });
+});
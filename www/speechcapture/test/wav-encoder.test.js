@@ -0,0 +1,137 @@
+var test = require('node:test'),
+    assert = require('node:assert'),
+    speechcapture = require('../src/speechcapture.js');
+
+var wavEncoder = speechcapture.createWavEncoder(),
+    wavDecoder = speechcapture.wavDecoder,
+    WAV_FORMAT = speechcapture.WAV_FORMAT;
+
+var readString = function (view, offset, length) {
+    var string = '';
+
+    for (var i = 0; i < length; i++) {
+        string += String.fromCharCode(view.getUint8(offset + i));
+    }
+
+    return string;
+};
+
+var findChunk = function (view, id) {
+    var offset = 12;
+
+    while (offset + 8 <= view.byteLength) {
+        var size = view.getUint32(offset + 4, true);
+
+        if (readString(view, offset, 4) === id) {
+            return {offset: offset, size: size};
+        }
+
+        offset += 8 + size + (size % 2);
+    }
+
+    return null;
+};
+
+var ramp = function (length) {
+    var samples = new Float32Array(length);
+
+    for (var i = 0; i < length; i++) {
+        samples[i] = -1 + 2 * i / (length - 1);
+    }
+
+    return samples;
+};
+
+test.describe('wavEncoder.encode', function () {
+    test.it('writes a 16-bit PCM header by default', function () {
+        var view = wavEncoder.encode(new Float32Array(1000), 16000, 1);
+
+        assert.strictEqual(readString(view, 0, 4), 'RIFF');
+        assert.strictEqual(view.getUint32(4, true), view.byteLength - 8);
+        assert.strictEqual(readString(view, 8, 4), 'WAVE');
+        assert.strictEqual(view.getUint16(20, true), 1); // PCM
+        assert.strictEqual(view.getUint16(22, true), 1);
+        assert.strictEqual(view.getUint32(24, true), 16000);
+        assert.strictEqual(view.getUint32(28, true), 32000);
+        assert.strictEqual(view.getUint16(32, true), 2);
+        assert.strictEqual(view.getUint16(34, true), 16);
+        assert.deepStrictEqual(findChunk(view, 'data'), {offset: 36, size: 2000});
+    });
+
+    test.it('adds a fact chunk for non-PCM formats', function () {
+        var view = wavEncoder.encode(new Float32Array(500), 8000, 1, WAV_FORMAT.MU_LAW),
+            fact = findChunk(view, 'fact');
+
+        assert.strictEqual(view.getUint16(20, true), 7); // mu-law
+        assert.ok(fact);
+        assert.strictEqual(view.getUint32(fact.offset + 8, true), 500);
+        assert.strictEqual(findChunk(view, 'data').size, 500);
+    });
+
+    test.it('pads odd sized data chunks', function () {
+        var view = wavEncoder.encode(new Float32Array(101), 8000, 1, WAV_FORMAT.PCM_8BIT);
+
+        assert.strictEqual(findChunk(view, 'data').size, 101);
+        assert.strictEqual(view.byteLength % 2, 0);
+    });
+
+    test.it('writes the number of channels and the block alignment of interleaved audio', function () {
+        var view = wavEncoder.encode(new Float32Array(600), 48000, 2, WAV_FORMAT.PCM_24BIT);
+
+        assert.strictEqual(view.getUint16(22, true), 2);
+        assert.strictEqual(view.getUint16(32, true), 6);
+        assert.strictEqual(view.getUint32(28, true), 48000 * 6);
+        assert.strictEqual(findChunk(view, 'data').size, 1800);
+    });
+
+    Object.keys(WAV_FORMAT).forEach(function (key) {
+        var format = WAV_FORMAT[key],
+            tolerance = {pcm8: 1 / 64, pcm16: 1e-4, pcm24: 1e-6, float32: 1e-7, mulaw: 0.04, alaw: 0.04}[format];
+
+        test.it('decodes ' + format + ' to the original samples', function () {
+            var samples = ramp(1001),
+                decoded = wavDecoder.decode(wavEncoder.encode(samples, 16000, 1, format).buffer);
+
+            assert.strictEqual(decoded.sampleRate, 16000);
+            assert.strictEqual(decoded.channels, 1);
+            assert.strictEqual(decoded.samples.length, samples.length);
+
+            for (var i = 0; i < samples.length; i++) {
+                // Logarithmic formats are accurate relative to the level
+                var logarithmic = format === 'mulaw' || format === 'alaw',
+                    allowed = logarithmic ? tolerance * Math.max(Math.abs(samples[i]), 0.05) : tolerance;
+
+                assert.ok(Math.abs(decoded.samples[i] - samples[i]) <= allowed,
+                    'sample ' + i + ': ' + decoded.samples[i] + ' instead of ' + samples[i]);
+            }
+        });
+    });
+
+    test.it('adds the LIST/INFO metadata chunk', function () {
+        var view = wavEncoder.encode(new Float32Array(100), 16000, 1, WAV_FORMAT.PCM_16BIT, {info: {INAM: 'Title'}}),
+            list = findChunk(view, 'LIST');
+
+        assert.ok(list);
+        assert.strictEqual(readString(view, list.offset + 8, 4), 'INFO');
+        assert.ok(readString(view, list.offset + 12, list.size - 4).indexOf('INAM\u0006\u0000\u0000\u0000Title') >= 0);
+        assert.strictEqual(wavDecoder.decode(view.buffer).samples.length, 100);
+    });
+});
+
+test.describe('wavEncoder.isFormatSupported', function () {
+    test.it('accepts the WAV_FORMAT values only', function () {
+        Object.keys(WAV_FORMAT).forEach(function (key) {
+            assert.ok(wavEncoder.isFormatSupported(WAV_FORMAT[key]));
+        });
+
+        assert.ok(!wavEncoder.isFormatSupported('pcm12'));
+    });
+});
+
+test.describe('wavEncoder.interleave', function () {
+    test.it('interleaves the left and right channels', function () {
+        var result = wavEncoder.interleave(new Float32Array([1, 2, 3]), new Float32Array([-1, -2, -3]));
+
+        assert.deepStrictEqual(Array.prototype.slice.call(result), [1, -1, 2, -2, 3, -3]);
+    });
+});